@@ -21,12 +21,204 @@
    * All the valid Yale initials, each surrounded by colons.
    */
   var VALID_INITIALS = ":b:p:m:f:d:t:n:l:g:k:ng:h:gw:kw:w:j:ch:s:y:";
+  
+  /*
+   * All the valid Jyutping initials, each surrounded by colons.
+   */
+  var VALID_JYU_INITIALS = ":b:p:m:f:d:t:n:l:g:k:ng:h:gw:kw:w:z:c:s:j:";
+  
+  /*
+   * The valid Jyutping finals, in the same format as the initials.
+   * This is the same inventory that canto_compile_char.pl checks
+   * readings against.
+   */
+  var VALID_JYU_FINALS =
+    ":aa:aai:aau:aam:aan:aang:aap:aat:aak" +
+    ":a:ai:au:am:an:ang:ap:at:ak" +
+    ":e:ei:eu:em:eng:ep:et:ek" +
+    ":i:iu:im:in:ing:ip:it:ik" +
+    ":o:oi:ou:on:ong:ot:ok" +
+    ":u:ui:un:ung:ut:uk" +
+    ":eoi:eon:eot:oe:oeng:oet:oek" +
+    ":yu:yun:yut:m:ng:";
+  
+  /*
+   * Mappings of the initials and finals of the Guangdong Cantonese
+   * Pinyin romanization to Jyutping.
+   * 
+   * Both initials and finals are object maps from the lowercase NFC
+   * Cantonese Pinyin spelling to the Jyutping spelling.  In Cantonese
+   * Pinyin, "z", "c" and "s" are written "j", "q" and "x" before "i"
+   * and "ü", and the dots of "ü" are dropped after "j", "q", "x" and
+   * "y", which is handled separately in foreignToJyutping().
+   */
+  var CP_INITIALS = {
+    "b": "b", "p": "p", "m": "m", "f": "f",
+    "d": "d", "t": "t", "n": "n", "l": "l",
+    "g": "g", "k": "k", "ng": "ng", "h": "h",
+    "gu": "gw", "ku": "kw", "w": "w",
+    "z": "z", "c": "c", "s": "s",
+    "j": "z", "q": "c", "x": "s", "y": "j"
+  };
+  var CP_FINALS = {
+    "a": "aa", "ai": "aai", "ao": "aau", "am": "aam", "an": "aan",
+    "ang": "aang", "ab": "aap", "ad": "aat", "ag": "aak",
+    "ei": "ai", "eo": "au", "em": "am", "en": "an", "eng": "ang",
+    "eb": "ap", "ed": "at", "eg": "ak",
+    "\u00e9": "e", "\u00e9i": "ei", "\u00e9u": "eu", "\u00e9ng": "eng",
+    "\u00e9g": "ek",
+    "i": "i", "iu": "iu", "im": "im", "in": "in", "ing": "ing",
+    "ib": "ip", "id": "it", "ig": "ik",
+    "o": "o", "oi": "oi", "ou": "ou", "on": "on", "ong": "ong",
+    "od": "ot", "og": "ok",
+    "u": "u", "ui": "ui", "un": "un", "ung": "ung", "ud": "ut",
+    "ug": "uk",
+    "\u00ea": "oe", "\u00eau": "eoi", "\u00ean": "eon",
+    "\u00eang": "oeng", "\u00ead": "eot", "\u00eag": "oek",
+    "\u00fc": "yu", "\u00fcn": "yun", "\u00fcd": "yut",
+    "m": "m", "ng": "ng"
+  };
+  
+  /*
+   * Mappings of the initials and finals of the Sidney Lau romanization
+   * to Jyutping, in the same format as CP_INITIALS and CP_FINALS.
+   */
+  var SL_INITIALS = {
+    "b": "b", "p": "p", "m": "m", "f": "f",
+    "d": "d", "t": "t", "n": "n", "l": "l",
+    "g": "g", "k": "k", "ng": "ng", "h": "h",
+    "gw": "gw", "kw": "kw", "w": "w",
+    "j": "z", "ch": "c", "s": "s", "y": "j"
+  };
+  var SL_FINALS = {
+    "a": "aa", "aai": "aai", "aau": "aau", "aam": "aam", "aan": "aan",
+    "aang": "aang", "aap": "aap", "aat": "aat", "aak": "aak",
+    "ai": "ai", "au": "au", "am": "am", "an": "an", "ang": "ang",
+    "ap": "ap", "at": "at", "ak": "ak",
+    "e": "e", "ei": "ei", "eng": "eng", "ek": "ek",
+    "i": "i", "iu": "iu", "im": "im", "in": "in", "ing": "ing",
+    "ip": "ip", "it": "it", "ik": "ik",
+    "oh": "o", "oi": "oi", "o": "ou", "on": "on", "ong": "ong",
+    "ot": "ot", "ok": "ok",
+    "oo": "u", "ooi": "ui", "oon": "un", "ung": "ung", "oot": "ut",
+    "uk": "uk",
+    "eu": "oe", "ui": "eoi", "un": "eon", "eung": "oeng", "ut": "eot",
+    "euk": "oek",
+    "ue": "yu", "uen": "yun", "uet": "yut",
+    "m": "m", "ng": "ng"
+  };
+  
+  /*
+   * Mappings of Jyutping initials, finals and tones to broad IPA.
+   * 
+   * Tones are given as Chao tone letters, with the array index being
+   * one less than the Jyutping tone number.
+   */
+  var IPA_INITIALS = {
+    "b": "p", "p": "p\u02b0", "m": "m", "f": "f",
+    "d": "t", "t": "t\u02b0", "n": "n", "l": "l",
+    "g": "k", "k": "k\u02b0", "ng": "\u014b", "h": "h",
+    "gw": "k\u02b7", "kw": "k\u02b7\u02b0", "w": "w",
+    "z": "ts", "c": "ts\u02b0", "s": "s", "j": "j"
+  };
+  var IPA_FINALS = {
+    "aa": "a\u02d0", "aai": "a\u02d0i", "aau": "a\u02d0u",
+    "aam": "a\u02d0m", "aan": "a\u02d0n", "aang": "a\u02d0\u014b",
+    "aap": "a\u02d0p", "aat": "a\u02d0t", "aak": "a\u02d0k",
+    "a": "\u0250", "ai": "\u0250i", "au": "\u0250u",
+    "am": "\u0250m", "an": "\u0250n", "ang": "\u0250\u014b",
+    "ap": "\u0250p", "at": "\u0250t", "ak": "\u0250k",
+    "e": "\u025b\u02d0", "ei": "ei", "eu": "\u025b\u02d0u",
+    "em": "\u025b\u02d0m", "eng": "\u025b\u02d0\u014b",
+    "ep": "\u025b\u02d0p", "et": "\u025b\u02d0t", "ek": "\u025b\u02d0k",
+    "i": "i\u02d0", "iu": "i\u02d0u", "im": "i\u02d0m",
+    "in": "i\u02d0n", "ing": "e\u014b", "ip": "i\u02d0p",
+    "it": "i\u02d0t", "ik": "ek",
+    "o": "\u0254\u02d0", "oi": "\u0254\u02d0y", "ou": "ou",
+    "on": "\u0254\u02d0n", "ong": "\u0254\u02d0\u014b",
+    "ot": "\u0254\u02d0t", "ok": "\u0254\u02d0k",
+    "u": "u\u02d0", "ui": "u\u02d0y", "un": "u\u02d0n",
+    "ung": "o\u014b", "ut": "u\u02d0t", "uk": "ok",
+    "oe": "\u0153\u02d0", "oeng": "\u0153\u02d0\u014b",
+    "oet": "\u0153\u02d0t", "oek": "\u0153\u02d0k",
+    "eoi": "\u0275y", "eon": "\u0275n", "eot": "\u0275t",
+    "yu": "y\u02d0", "yun": "y\u02d0n", "yut": "y\u02d0t",
+    "m": "m\u0329", "ng": "\u014b\u030d"
+  };
+  var IPA_TONES = [
+    "\u02e5", "\u02e7\u02e5", "\u02e7",
+    "\u02e8\u02e9", "\u02e9\u02e7", "\u02e8"
+  ];
 
   /*
-   * The maximum number of results that may be returned from a
-   * dictionary query.
+   * The maximum number of results that may be returned in a single page
+   * of a dictionary query.
    */
   var MAX_DICT_RESULTS = 500;
+  
+  /*
+   * The maximum number of "did you mean" suggestions returned for a
+   * query that has no results.
+   */
+  var MAX_SUGGESTIONS = 8;
+  
+  /*
+   * The maximum number of word candidates returned by imeCandidates()
+   * for each number of syllables.
+   */
+  var MAX_IME_WORDS = 30;
+  
+  /*
+   * The maximum number of syllable sequences whose word candidates are
+   * remembered by imeWords() before it starts over.
+   */
+  var MAX_IME_CACHE = 200;
+  
+  /*
+   * The maximum number of continuations returned by predict().
+   */
+  var MAX_PREDICTIONS = 12;
+  
+  /*
+   * Weights of the relevance scoring model for dictionary results.
+   * 
+   * SCORE_EXACT is added when one of the definitions is exactly the
+   * query (ignoring case and a leading "to ").
+   * 
+   * SCORE_DEFPOS is divided by one more than the index of the first
+   * definition that contains all the query terms.
+   * 
+   * SCORE_TERMPOS is divided by one more than the word position of the
+   * first query term within that definition.
+   * 
+   * SCORE_DEFCOUNT is divided by the number of definitions, so entries
+   * with fewer senses rank higher.
+   * 
+   * SCORE_HWLEN is divided by the number of characters in the
+   * headword, so shorter headwords rank higher.
+   * 
+   * SCORE_FREQ is multiplied by the base-10 logarithm of one more than
+   * the lowest character frequency in the headword, according to the
+   * optional canto_freq global.
+   */
+  var SCORE_EXACT = 100;
+  var SCORE_DEFPOS = 30;
+  var SCORE_TERMPOS = 20;
+  var SCORE_DEFCOUNT = 10;
+  var SCORE_HWLEN = 40;
+  var SCORE_FREQ = 5;
+  
+  /*
+   * Costs of the best-path segmentation model of segment().
+   * 
+   * SEG_COST is added for each segment, so that paths with fewer
+   * segments are preferred when there is no frequency data.
+   * 
+   * SEG_UNKNOWN is added for each character that is not a headword in
+   * the dictionary and becomes a segment by itself.
+   */
+  var SEG_COST = 1;
+  var SEG_UNKNOWN = 2;
 
   /*
    * Local data
@@ -57,6 +249,120 @@
    * indicating which codepoints have that Jyutping reading.
    */
   var m_idx_jyu;
+  
+  /*
+   * The English token index, only available if m_built.
+   * 
+   * Once built, this is an object (treated as an associative array)
+   * created without a prototype, so that tokens such as "constructor"
+   * do not collide with inherited properties.  Each property key is a
+   * lowercase token, which is a maximal run of ASCII letters within the
+   * definitions of a dictionary entry.  Each property value is an array
+   * of integer indices into the canto_words global in ascending order,
+   * indicating which dictionary entries have that token somewhere in
+   * their definitions.  No index appears more than once in an array.
+   */
+  var m_idx_eng;
+  
+  /*
+   * The English stem index, only available if m_built.
+   * 
+   * Once built, this is an object created without a prototype in the
+   * same format as m_idx_eng, except that each property key is the stem
+   * of one or more tokens as computed by stemWord(), and the posting
+   * list combines the posting lists of all those tokens.
+   */
+  var m_idx_stem;
+  
+  /*
+   * The stemmed definitions, only available if m_built.
+   * 
+   * Once built, this is an array with an element for each entry in the
+   * canto_words global, in the same order.  Each element is an array of
+   * the definitions of that entry as normalized by stemDef().
+   */
+  var m_stem_def;
+  
+  /*
+   * The headword character index, only available if m_built.
+   * 
+   * Once built, this is an object (treated as an associative array)
+   * where each property key is a base-16 codepoint value in lowercase
+   * with no padding, and each property value is an array of integer
+   * indices into the canto_words global in ascending order, indicating
+   * which dictionary entries have that codepoint somewhere in their
+   * traditional or simplified headword.  No index appears more than
+   * once in an array.
+   */
+  var m_idx_chw;
+  
+  /*
+   * The Pinyin index, only available if m_built.
+   * 
+   * Once built, this is an object (treated as an associative array)
+   * created without a prototype.  Each property key is a lowercase
+   * Pinyin syllable without its tone number, using "u:" for U-umlaut in
+   * the same way as the dictionary.  Each property value is an array of
+   * integer indices into the canto_words global in ascending order,
+   * indicating which dictionary entries have that syllable somewhere in
+   * their Pinyin reading.  No index appears more than once in an array.
+   */
+  var m_idx_pin;
+  
+  /*
+   * The headword trie, only available if m_built.
+   * 
+   * Once built, this is the root node of a trie of all the traditional
+   * and simplified headwords, one codepoint per level.  Each node is an
+   * object with a "wid" property and a "next" property.  The "wid"
+   * property is an array of integer indices into the canto_words global
+   * in ascending order, indicating which dictionary entries have the
+   * headword spelled by the path to the node, which is empty if none.
+   * No index appears more than once in an array.  The "next" property
+   * is an object created without a prototype, where each property key
+   * is a codepoint as a string and each property value is the child
+   * node for that codepoint.
+   */
+  var m_trie;
+  
+  /*
+   * The highest character frequency in the canto_freq global, or zero
+   * if it is empty, only available if m_built.
+   */
+  var m_freq_max;
+  
+  /*
+   * The key of the most recent word query, or null if there has not
+   * been a word query yet.  The key is the query mode, a colon, and
+   * then the query string.
+   * 
+   * This is used together with m_wq_res to avoid repeating the same
+   * query when the user moves between pages of results.
+   */
+  var m_wq_key = null;
+  
+  /*
+   * The full ranked result array of the most recent word query, only
+   * valid if m_wq_key is not null.  The format is the same as returned
+   * by rankWords().
+   */
+  var m_wq_res;
+  
+  /*
+   * The word candidates of the syllable sequences that have been looked
+   * up by imeWords(), or null if there are none yet.
+   * 
+   * This is an object created without a prototype, where each property
+   * key is a reading query and each property value is an array of at
+   * most MAX_IME_WORDS traditional headwords read that way, in the
+   * order ranked by readingResults().
+   */
+  var m_ime_cache = null;
+  
+  /*
+   * The number of property keys in m_ime_cache.
+   */
+  var m_ime_count = 0;
 
   /*
    * Local functions
@@ -316,563 +622,4826 @@
   }
   
   /*
-   * Public functions
-   * ================
-   */
-  
-  /*
-   * Given user input typed into the search box for a word query, return
-   * an array containing indices into the dictionary for every matching
-   * word result.
-   * 
-   * The returned indices are into the array canto_words.  The maximum
-   * number of returned results is bounded by the MAX_DICT_RESULTS
-   * constant.  If there are more than this many matching results, an
-   * array containing the single integer -1 will be returned indicating
-   * that the search was too broad.
+   * Given two arrays of integers that are each sorted in ascending
+   * order without duplicates, return a new array containing only the
+   * integers present in both, also in ascending order.
    * 
    * Parameters:
    * 
-   *   str : string - the word query string
+   *   a : array of integers - the first sorted array
+   * 
+   *   b : array of integers - the second sorted array
    * 
    * Return:
    * 
-   *   array containing all matching dictionary indices, or array
-   *   containing single -1 integer value if too many results
+   *   the sorted intersection of the two arrays
    */
-  function wordQuery(str) {
+  function intersectSorted(a, b) {
     
-    var func_name = "wordQuery";
-    var qta, ra;
-    var i, j, da, f;
+    var func_name = "intersectSorted";
+    var i, j, ra;
     
-    // Check parameter
-    if (typeof str !== "string") {
+    // Check parameters
+    if ((!(a instanceof Array)) || (!(b instanceof Array))) {
       fault(func_name, 100);
     }
     
-    // Trim leading and trailing whitespace
-    str = str.trim();
-    
-    // If string empty after trimming, return no results
-    if (str.length < 1) {
-      return [];
+    // Walk both arrays in parallel, keeping values found in both
+    ra = [];
+    i = 0;
+    j = 0;
+    while ((i < a.length) && (j < b.length)) {
+      if (a[i] < b[j]) {
+        i++;
+      } else if (a[i] > b[j]) {
+        j++;
+      } else {
+        ra.push(a[i]);
+        i++;
+        j++;
+      }
     }
     
-    // String must only have ASCII letters and whitespace or return no
-    // results
-    if (!((/^[A-Za-z \t]*$/).test(str))) {
-      return [];
-    }
+    // Return the intersection
+    return ra;
+  }
+  
+  /*
+   * Given an array of arrays of integers, return a new array containing
+   * every integer that appears in any of them, in ascending order and
+   * without duplicates.
+   *
+   * Parameters:
+   *
+   *   la : array of arrays of integers - the arrays to combine
+   *
+   * Return:
+   *
+   *   the sorted union of the arrays
+   */
+  function unionLists(la) {
     
-    // Normalize case to lowercase
-    str = str.toLowerCase();
+    var func_name = "unionLists";
+    var a, ra, i;
     
-    // Split the query string into an array of search terms separated
-    // by whitespace
-    qta = str.split(/\s+/);
+    // Check parameter
+    if (!(la instanceof Array)) {
+      fault(func_name, 100);
+    }
+    
+    // Combine and sort all the values
+    a = [].concat.apply([], la);
+    a.sort(function(x, y) {
+      return x - y;
+    });
     
-    // Find matching dictionary terms up to limit of MAX_DICT_RESULTS
+    // Drop duplicates, which are now next to each other
     ra = [];
-    for(i = 0; i < canto_words.length; i++) {
-      // Get current word definition array
-      da = canto_words[i][3];
-      
-      // Join all the definitions into a single string with definitions
-      // separated by spaces
-      da = da.join(" ");
-      
-      // Normalize case of definition string to lowercase
-      da = da.toLowerCase();
-      
-      // Check whether all query terms are somewhere in the definition
-      // string, using the indexOfWord function so we only search for
-      // full word matches; if any one is missing, then skip this word
-      f = true;
-      for(j = 0; j < qta.length; j++) {
-        if (indexOfWord(da, qta[j]) < 0) {
-          f = false;
-          break;
-        }
-      }
-      if (!f) {
-        continue;
-      }
-      
-      // If we got here, then add this index to the results
-      ra.push(i);
-      
-      // If we have exceeded the query limit, replace with special
-      // marker and leave the loop
-      if (ra.length > MAX_DICT_RESULTS) {
-        ra = [-1];
-        break;
+    for(i = 0; i < a.length; i++) {
+      if ((ra.length < 1) || (ra[ra.length - 1] !== a[i])) {
+        ra.push(a[i]);
       }
     }
-
-    // Return results
+    
+    // Return the union
     return ra;
   }
   
   /*
-   * Given user input typed into the search box for a character query,
-   * return an array containing integer values of all character
-   * codepoints to display.
-   * 
-   * The codepoints in the array are in the proper order.  The returned
-   * array may be empty if nothing matches.
-   * 
-   * The indices must first be built with buildIndices() before calling
-   * this function or a fault occurs.
+   * Given two arrays of integers that are each sorted in ascending
+   * order without duplicates, return a new array containing only the
+   * integers in the first array that are not in the second, also in
+   * ascending order.
    *
    * Parameters:
    *
-   *   str : string - the character query string
+   *   a : array of integers - the sorted array to subtract from
+   *
+   *   b : array of integers - the sorted array of values to remove
    *
    * Return:
    *
-   *   array containing all matching codepoints as integer values
+   *   the sorted difference of the two arrays
    */
-  function charQuery(str) {
+  function subtractSorted(a, b) {
     
-    var func_name = "charQuery";
-    var c, i;
-    var sa, sb, sc;
-    var f, nt, m, t;
-    var fvi, lvi, ab, af;
-    var ra1, ra2;
+    var func_name = "subtractSorted";
+    var i, j, ra;
     
-    // Check state
-    if (!m_built) {
-      fault(func_name, 50);
+    // Check parameters
+    if ((!(a instanceof Array)) || (!(b instanceof Array))) {
+      fault(func_name, 100);
+    }
+    
+    // Walk both arrays in parallel, keeping values only in the first
+    ra = [];
+    i = 0;
+    j = 0;
+    while (i < a.length) {
+      if ((j >= b.length) || (a[i] < b[j])) {
+        ra.push(a[i]);
+        i++;
+      } else if (a[i] > b[j]) {
+        j++;
+      } else {
+        i++;
+        j++;
+      }
     }
     
+    // Return the difference
+    return ra;
+  }
+  
+  /*
+   * Reduce a lowercase English word to a stem so that inflected forms
+   * match each other.
+   * 
+   * This is a simplified version of the first steps of the Porter
+   * stemmer.  Plural "-s" and "-es", and the verb endings "-ed" and
+   * "-ing" are removed, with the spelling changes those endings cause
+   * undone where possible.  A final "y" after a consonant becomes "i"
+   * and a final silent "e" is dropped, so that for example "puppy" and
+   * "puppies" both become "puppi", and "make" and "making" both become
+   * "mak".  Stems are only used for matching and are not always real
+   * words.  Words of three letters or fewer are not changed.
+   * 
+   * Parameters:
+   * 
+   *   w : string - the lowercase word
+   * 
+   * Return:
+   * 
+   *   the stem
+   */
+  function stemWord(w) {
+    
+    var func_name = "stemWord";
+    var b;
+    
     // Check parameter
-    if (typeof str !== "string") {
+    if (typeof w !== "string") {
       fault(func_name, 100);
     }
     
-    // First of all, trim leading and trailing whitespace and normalize
-    // to NFC
-    str = str.trim().normalize("NFC");
+    // Leave short words alone
+    if (w.length <= 3) {
+      return w;
+    }
     
-    // If string is empty after trimming, return empty array
-    if (str.length < 1) {
-      return [];
+    // Remove plurals
+    if ((/sses$/).test(w)) {
+      w = w.slice(0, -2);
+    } else if ((/ies$/).test(w)) {
+      w = w.slice(0, -2);
+    } else if ((/[^su]s$/).test(w)) {
+      w = w.slice(0, -1);
     }
     
-    // Get the first codepoint of string
-    c = str.codePointAt(0);
-    
-    // Check whether this string has a single codepoint above U+007F AND
-    // the NFD decomposition of that codepoint does not begin with a
-    // Latin letter; if this is the case, return an array with just that
-    // codepoint
-    if (c > 0x7f) {
-      // Check whether we have a single codepoint in the string
-      // (remember that supplemental codepoints take two characters)
-      if ((c < 0x10000) && (str.length === 1)) {
-        i = true;
-      } else if (str.length === 2) {
-        i = true;
-      } else {
-        i = false;
-      }
-      
-      // If single extended codepoint, check whether NFD decomposition
-      // begins with an ASCII letter; if it does not, then return a
-      // result just of the given codepoint
-      if (i) {
-        sa = str.normalize("NFD");
-        if (sa.length > 0) {
-          c = sa.charCodeAt(0);
-          if (((c < 0x41) || (c > 0x5a)) &&
-              ((c < 0x61) || (c > 0x7a))) {
-            return [c];
-          }
-        }
+    // Remove "-ed" and "-ing" if what is left has a vowel, and then
+    // restore a silent "e" or undo a doubled consonant
+    if ((/eed$/).test(w)) {
+      w = w.slice(0, -1);
+    } else if ((/[aeiouy].*(ed|ing)$/).test(w)) {
+      b = w.replace(/(ed|ing)$/, "");
+      if ((/(at|bl|iz)$/).test(b)) {
+        b = b + "e";
+      } else if ((/([^aeiouylsz])\1$/).test(b)) {
+        b = b.slice(0, -1);
       }
+      w = b;
     }
     
-    // Handle Unicode literal
-    if ((/^u[0-9a-f]{4,6}$/i).test(str)) {
-      // We have a literal string, so begin by dropping the leading "u"
-      // character
-      str = str.slice(1);
-      
-      // Get the integer value of the base-16 number
-      c = parseInt(str, 16);
-      
-      // Return just that value if it is in Unicode range, beyond ASCII
-      // range, and not a surrogate, else return empty array
-      if ((c > 0x7f) && (c <= 0x10ffff) && 
-            ((c < 0xd800) || (c > 0xdfff))) {
-        return [c];
-        
-      } else {
-        return [];
-      }
+    // Change a final "y" after a consonant to "i"
+    if ((/[^aeiou]y$/).test(w) && (w.length > 2)) {
+      w = w.slice(0, -1) + "i";
     }
     
-    // Otherwise, if there is a decimal integer somewhere in the value,
-    // handle Jyutping
-    if ((/[0-9]/).test(str)) {
-      
-      // Make lowercase
-      str = str.toLowerCase();
-      
-      // If format basically correct, look up; else, return nothing
-      if ((/^[a-z]+[1-6]$/).test(str)) {
-        if (str in m_idx_jyu) {
-          // Return copy of codepoint array
-          return m_idx_jyu[str].map(x => x);
-        } else {
-          return [];
-        }
-      } else {
-        return [];
-      }
+    // Drop a final silent "e"
+    if ((/[^e]e$/).test(w) && (w.length > 3)) {
+      w = w.slice(0, -1);
     }
     
-    // If we got here, we should assume Yale; begin by decomposing to
-    // NFD form
-    str = str.normalize("NFD");
+    // Return the stem
+    return w;
+  }
+  
+  /*
+   * Normalize a definition for stemmed matching.
+   * 
+   * The definition is made lowercase, a leading "to " that marks a verb
+   * gloss is dropped, runs of whitespace and hyphens become single
+   * spaces, and each word is replaced by its stem.  Other punctuation
+   * is kept, so words on either side of it are not next to each other.
+   * 
+   * Parameters:
+   * 
+   *   d : string - the definition
+   * 
+   * Return:
+   * 
+   *   the normalized definition
+   */
+  function stemDef(d) {
     
-    // Change all combining circumflex marks to combining macrons
-    str = str.replace(/\u0302/g, String.fromCharCode(0x0304));
+    var func_name = "stemDef";
     
-    // Change all left single quotes and right single quotes to ASCII
-    // apostrophes
-    str = str.replace(/\u02018/g, "'");
-    str = str.replace(/\u02019/g, "'");
+    // Check parameter
+    if (typeof d !== "string") {
+      fault(func_name, 100);
+    }
     
-    // Process all combining grave accents, acute accents, and macrons
-    // starting from end of string to beginning, checking that they are
-    // only used immediately behind an ASCII letter (returning no
-    // results if not) and then replacing them with the appropriate
-    // apostrophe escape code around the letter
-    for(i = lastDiacritic(str); i >= 0; i = lastDiacritic(str)) {
-      
-      // If last diacritic is very first character, then this is not
-      // valid so return no results
-      if (i === 0) {
-        return [];
+    // Normalize
+    d = d.toLowerCase().replace(/[\s-]+/g, " ").trim();
+    d = d.replace(/^to /, "");
+    return d.replace(/[a-z]+/g, stemWord);
+  }
+  
+  /*
+   * Compute the relevance score of a dictionary entry for a word query.
+   * 
+   * See the SCORE_ constants for the scoring model.  Higher scores are
+   * more relevant.  If there are no query terms, for example when the
+   * query was not in English, only the weights that do not depend on
+   * the query terms are used.
+   * 
+   * Unless exact is true, the query terms and definitions are compared
+   * by their stems, as normalized by stemDef().
+   * 
+   * Parameters:
+   * 
+   *   qta : array of strings - the lowercase query terms
+   * 
+   *   wid : number(int) - index of the entry in canto_words
+   * 
+   *   exact : boolean - true to compare words exactly
+   * 
+   * Return:
+   * 
+   *   the relevance score, which is zero or greater
+   */
+  function scoreWord(qta, wid, exact) {
+    
+    var func_name = "scoreWord";
+    var dr, da, q, sc, di, pos, hw, f, c, k, i, j;
+    
+    // Check parameters
+    if (!(qta instanceof Array)) {
+      fault(func_name, 100);
+    }
+    if (typeof wid !== "number") {
+      fault(func_name, 110);
+    }
+    if ((wid < 0) || (wid >= canto_words.length)) {
+      fault(func_name, 120);
+    }
+    if (typeof exact !== "boolean") {
+      fault(func_name, 130);
+    }
+    
+    // Get the dictionary record and its lowercase definitions, unless
+    // matching exactly normalizing both the definitions and the query
+    // terms with stemDef() so that they compare the same way
+    dr = canto_words[wid];
+    if (exact) {
+      da = dr[3].map(x => x.toLowerCase());
+    } else {
+      da = m_stem_def[wid];
+      if (qta.length > 0) {
+        qta = stemDef(qta.join(" ")).split(" ");
       }
-      
-      // Last diacritic must be preceded by an ASCII letter, or else it
-      // is not valid so return no results
-      c = str.charCodeAt(i - 1);
-      if (((c < 0x41) || (c > 0x5a)) && ((c < 0x61) || (c > 0x7a))) {
-        return [];
+    }
+    
+    // Start with a score of zero
+    sc = 0;
+    
+    // Add the exact match weight if any definition is exactly the query
+    q = qta.join(" ");
+    for(i = 0; (qta.length > 0) && (i < da.length); i++) {
+      if ((da[i] === q) || (da[i] === "to " + q)) {
+        sc = sc + SCORE_EXACT;
+        break;
       }
-      
-      // Get the string before the previous character, the previous
-      // character, the codepoint of this diacritic, and everything
-      // after this diacritic
-      if (i > 1) {
-        sa = str.slice(0, i - 1);
-      } else {
-        sa = "";
+    }
+    
+    // Find the first definition that contains all the query terms, and
+    // the position of the first query term in it
+    di = -1;
+    pos = -1;
+    for(i = 0; (qta.length > 0) && (i < da.length); i++) {
+      for(j = 0; j < qta.length; j++) {
+        if (indexOfWord(da[i], qta[j]) < 0) {
+          break;
+        }
       }
-      
-      sb = str.charAt(i - 1);
-      c = str.charCodeAt(i);
-      
-      if (i < str.length - 1) {
-        sc = str.slice(i + 1);
+      if (j >= qta.length) {
+        di = i;
+        pos = indexOfWord(da[i], qta[0]);
+        break;
+      }
+    }
+    
+    // Add the definition and term position weights if found; the term
+    // position is the number of words before the first term
+    if (di >= 0) {
+      sc = sc + (SCORE_DEFPOS / (1 + di));
+      k = da[di].slice(0, pos).match(/[a-z]+/g);
+      if (k == null) {
+        k = 0;
       } else {
-        sc = "";
+        k = k.length;
       }
-      
-      // Remove the diacritic and insert the appropriate apostrophes
-      // around the letter that precedes it
-      if (c === 0x0300) {
-        // Grave accent
-        str = sa + "'" + sb + sc;
-        
-      } else if (c === 0x0301) {
-        // Acute accent
-        str = sa + sb + "'" + sc;
-        
-      } else if (c === 0x0304) {
-        // Macron
-        str = sa + "'" + sb + "'" + sc;
-        
+      sc = sc + (SCORE_TERMPOS / (1 + k));
+    }
+    
+    // Add the definition count weight
+    if (da.length > 0) {
+      sc = sc + (SCORE_DEFCOUNT / da.length);
+    }
+    
+    // Get the headword as an array of codepoints
+    hw = Array.from(dr[0]);
+    
+    // Add the headword length weight
+    if (hw.length > 0) {
+      sc = sc + (SCORE_HWLEN / hw.length);
+    }
+    
+    // Add the frequency weight, using the lowest frequency of any
+    // character in the headword, if there is frequency data
+    f = -1;
+    for(i = 0; i < hw.length; i++) {
+      k = hw[i].codePointAt(0).toString(16).toLowerCase();
+      if (k in canto_freq) {
+        c = canto_freq[k];
       } else {
-        // Shouldn't happen
-        fault(func_name, 200);
+        c = 0;
+      }
+      if ((f < 0) || (c < f)) {
+        f = c;
       }
     }
+    if (f > 0) {
+      sc = sc + (SCORE_FREQ * Math.log10(1 + f));
+    }
     
-    // Now that we have reduced diacritics to apostrophes and handled
-    // all substitutions, we can make everything lowercase
-    str = str.toLowerCase();
+    // Return the score
+    return sc;
+  }
+  
+  /*
+   * Score and sort the results of a word query by relevance.
+   * 
+   * The return value is an array of objects, each with a "wid" property
+   * that is the index in canto_words and a "score" property that is the
+   * relevance score computed by scoreWord().  The array is sorted by
+   * descending score, with ties broken by ascending index.
+   * 
+   * Parameters:
+   * 
+   *   qta : array of strings - the lowercase query terms
+   * 
+   *   wa : array of integers - the matching canto_words indices
+   * 
+   *   exact : boolean - true if the query terms were matched exactly,
+   *   false if they were matched by stem
+   * 
+   * Return:
+   * 
+   *   the ranked result array
+   */
+  function rankWords(qta, wa, exact) {
     
-    // The only thing that should be left in the string at this point is
-    // lowercase ASCII letters and apostrophes; if anything else, string
-    // is not valid so return no results in that case
-    if (!((/^[a-z']+$/).test(str))) {
+    var func_name = "rankWords";
+    var ra, i;
+    
+    // Check parameters
+    if ((!(qta instanceof Array)) || (!(wa instanceof Array)) ||
+        (typeof exact !== "boolean")) {
+      fault(func_name, 100);
+    }
+    
+    // Score each result
+    ra = [];
+    for(i = 0; i < wa.length; i++) {
+      ra.push({
+        "wid": wa[i],
+        "score": scoreWord(qta, wa[i], exact)
+      });
+    }
+    
+    // Sort by descending score and then ascending index
+    ra.sort(function(a, b) {
+      if (a.score !== b.score) {
+        return b.score - a.score;
+      }
+      return a.wid - b.wid;
+    });
+    
+    // Return the ranked results
+    return ra;
+  }
+  
+  /*
+   * Run a headword query and return the ranked results.
+   * 
+   * The query is the Chinese characters of a headword, which may be
+   * either traditional or simplified.  Whitespace within the query is
+   * ignored.  The kind of match is selected with "*" wildcards at the
+   * ends of the query:
+   * 
+   *   "狗仔" - exact match of the whole headword
+   *   "狗*"  - headwords that begin with the characters
+   *   "*狗"  - headwords that end with the characters
+   *   "*狗*" - headwords that contain the characters anywhere
+   * 
+   * A dictionary entry matches if either its traditional or simplified
+   * headword matches.
+   * 
+   * The return value is in the format returned by rankWords().
+   * 
+   * The indices must first be built with buildIndices() before calling
+   * this function or a fault occurs.
+   * 
+   * Parameters:
+   * 
+   *   str : string - the headword query string
+   * 
+   * Return:
+   * 
+   *   the ranked result array
+   */
+  function headwordResults(str) {
+    
+    var func_name = "headwordResults";
+    var pfx, sfx, ca, ra, f, i, k;
+    
+    // Check state
+    if (!m_built) {
+      fault(func_name, 50);
+    }
+    
+    // Check parameter
+    if (typeof str !== "string") {
+      fault(func_name, 100);
+    }
+    
+    // Normalize to NFC and drop all whitespace
+    str = str.normalize("NFC").replace(/\s+/g, "");
+    
+    // Check for wildcards at the ends; a leading wildcard means the
+    // match need not be a prefix, and a trailing wildcard means the
+    // match need not be a suffix
+    pfx = true;
+    sfx = true;
+    if ((/^\*/).test(str)) {
+      pfx = false;
+      str = str.slice(1);
+    }
+    if ((/\*$/).test(str)) {
+      sfx = false;
+      str = str.slice(0, -1);
+    }
+    
+    // Nothing remaining or remaining wildcards mean no results
+    if ((str.length < 1) || (str.indexOf("*") >= 0)) {
       return [];
     }
     
-    // First we want to completely handle the case where there are no
-    // vowels aeiou anywhere, which can only validly happen when there
-    // is a syllabic m or ng nasal
-    if (!((/[aeiou]/).test(str))) {
-      
-      // Look at the end of the string to figure out what syllabic nasal
-      // we have and get the final; if we don't have a valid final,
-      // return nothing
-      m = str.match(/('?m'?h?|n'?g'?h?)$/);
-      if (m == null) {
+    // Get the candidates that have every character in the query
+    ca = Array.from(str);
+    ra = null;
+    for(i = 0; i < ca.length; i++) {
+      k = ca[i].codePointAt(0).toString(16).toLowerCase();
+      if (!(k in m_idx_chw)) {
         return [];
       }
-      
-      // Split into initial and final
-      if (m.index > 0) {
-        nt = str.slice(0, m.index);
+      if (ra === null) {
+        ra = m_idx_chw[k];
       } else {
-        nt = "";
+        ra = intersectSorted(ra, m_idx_chw[k]);
       }
-      
-      f = str.slice(m.index);
-      
-      // Check that initial is recognized (if not empty), returning no
-      // results if not
-      if (nt.length > 0) {
-        if (VALID_INITIALS.indexOf(":" + nt + ":") < 0) {
-          return [];
-        }
+      if (ra.length < 1) {
+        return [];
       }
+    }
+    
+    // Get the matching function for the kind of match
+    if (pfx && sfx) {
+      f = function(hw) {
+        return (hw === str);
+      };
+    } else if (pfx) {
+      f = function(hw) {
+        return hw.startsWith(str);
+      };
+    } else if (sfx) {
+      f = function(hw) {
+        return hw.endsWith(str);
+      };
+    } else {
+      f = function(hw) {
+        return hw.includes(str);
+      };
+    }
+    
+    // Only keep the candidates whose headwords actually match
+    ra = ra.filter(function(x) {
+      return (f(canto_words[x][0]) || f(canto_words[x][1]));
+    });
+    
+    // Rank the results without any English query terms
+    return rankWords([], ra, true);
+  }
+  
+  /*
+   * Parse an English word query into clauses.
+   * 
+   * The query is a sequence of items separated by whitespace.  Each
+   * item is one of the following:
+   * 
+   *   word - a term that must appear as a whole word
+   *   word* - any word that begins with the given letters
+   *   "some words" - a phrase that must appear as written
+   * 
+   * Words joined by hyphens, such as "x-ray", are taken as a phrase.
+   * Items may be joined with "|" so that any one of them is enough, and
+   * a single item may be prefixed with "-" to exclude entries that have
+   * it.  All the resulting clauses must be satisfied.  Case is ignored,
+   * and curly double quotes may be used for straight ones.
+   * 
+   * The return value is an array of clauses.  Each clause is an object
+   * with a boolean "neg" property that is true for an excluded item,
+   * and an "alts" property that is an array of the alternative items.
+   * Negated clauses always have exactly one item.  Each item is an
+   * object with a "t" property that is "w" for a word, "p" for a prefix
+   * or "s" for a phrase, and a "w" property that is the word, the
+   * prefix, or an array of the words of the phrase.
+   * 
+   * If the query has a syntax error, or has no items that are not
+   * excluded, null is returned.
+   * 
+   * Parameters:
+   * 
+   *   str : string - the word query string
+   * 
+   * Return:
+   * 
+   *   array of clauses, or null
+   */
+  function parseWordQuery(str) {
+    
+    var func_name = "parseWordQuery";
+    var sa, rx, m, it, ca, por, pos, i;
+    
+    // Check parameter
+    if (typeof str !== "string") {
+      fault(func_name, 100);
+    }
+    
+    // Normalize case and quotes
+    str = str.toLowerCase().replace(/[\u201c\u201d]/g, "\"");
+    
+    // Outside of quotes, change hyphenated words into phrases
+    sa = str.split("\"");
+    for(i = 0; i < sa.length; i += 2) {
+      sa[i] = sa[i].replace(/[a-z]+(-[a-z]+)+/g,
+                x => ("\"" + x.replace(/-/g, " ") + "\""));
+    }
+    str = sa.join("\"");
+    
+    // Go through the items
+    rx = /(-?)(?:"([^"]*)"|([a-z]+)(\*?))|(\|)|(\S)/g;
+    ca = [];
+    por = false;
+    for(m = rx.exec(str); m !== null; m = rx.exec(str)) {
       
-      // Transform initial to Jyutping
-      if (nt === "y") {
-        nt = "j";
-      } else if (nt === "j") {
-        nt = "z";
-      } else if (nt === "ch") {
-        nt = "c";
+      // Anything unrecognized is a syntax error
+      if (m[6] !== undefined) {
+        return null;
       }
       
-      // Make sure we don't have the invalid combination of macron with
-      // low marker h
-      if ((f === "'m'h") || (f === "n'g'h")) {
-        return [];
+      // Handle the "|" operator, which must follow an item that is not
+      // excluded
+      if (m[5] !== undefined) {
+        if (por || (ca.length < 1) || ca[ca.length - 1].neg) {
+          return null;
+        }
+        por = true;
+        continue;
       }
       
-      // Replace macron with grave accent
-      f = f.replace(/'(m|g)'/g, "'$1");
-      
-      // If final ends with low marker h, start tone at 6 and remove
-      // marker; else, start tone at 3
-      if ((/h$/).test(f)) {
-        t = 6;
-        f = f.slice(0, -1);
+      // Get the item
+      if (m[2] !== undefined) {
+        it = m[2].match(/[a-z]+/g);
+        if (it == null) {
+          return null;
+        } else if (it.length > 1) {
+          it = {"t": "s", "w": it};
+        } else {
+          it = {"t": "w", "w": it[0]};
+        }
+      } else if (m[4].length > 0) {
+        it = {"t": "p", "w": m[3]};
       } else {
-        t = 3;
+        it = {"t": "w", "w": m[3]};
       }
       
-      // If there is an apostrophe, adjust tone marker and remove the
-      // apostrophe
-      if ((/'(m|g)/).test(f)) {
-        // Grave accent
-        t = t - 2;
-      
-      } else if ((/(m|g)'/).test(f)) {
-        // Acute accent
-        t = t - 1;
+      // Add the item to the last clause if it follows "|", else start a
+      // new clause
+      if (por) {
+        if (m[1].length > 0) {
+          return null;
+        }
+        ca[ca.length - 1].alts.push(it);
+        por = false;
+      } else {
+        ca.push({"neg": (m[1].length > 0), "alts": [it]});
       }
-      
-      f = f.replace(/'/g, "");
-      
-      // Now assemble the Jyutping romanization
-      str = nt + f + t.toString(10);
-      
-      // Recursively call this function again with the Jyutping
-      return charQuery(str);
     }
     
-    // Get indices of first non-Y vowel and last non-Y vowel in string
-    fvi = firstVowel(str);
-    lvi = lastVowel(str);
-
-    // Should be at least one vowel at this point because we handled the
-    // case of no vowels earlier
-    if ((fvi === -1) || (lvi === -1)) {
-      fault(func_name, 300);
+    // Query may not end with "|"
+    if (por) {
+      return null;
+    }
+    
+    // There must be at least one clause that is not excluded
+    pos = false;
+    for(i = 0; i < ca.length; i++) {
+      if (!ca[i].neg) {
+        pos = true;
+        break;
+      }
+    }
+    if (!pos) {
+      return null;
+    }
+    
+    // Return the clauses
+    return ca;
+  }
+  
+  /*
+   * Get the sorted array of dictionary entry indices that match a
+   * single item of a parsed word query.
+   * 
+   * Words are looked up in the English token index, or by their stems
+   * in the English stem index unless exact is true.  Prefixes take the
+   * union of every token that begins with them, and are never stemmed.
+   * Phrases first narrow down the entries with the index, and then
+   * check that some definition has the words in order with only spaces
+   * or hyphens between them, using the same whole-word rule as for
+   * single words.
+   * 
+   * Parameters:
+   * 
+   *   it : object - the item, in the format from parseWordQuery()
+   * 
+   *   exact : boolean - true to match words exactly
+   * 
+   * Return:
+   * 
+   *   the sorted array of matching entry indices
+   */
+  function itemPostings(it, exact) {
+    
+    var func_name = "itemPostings";
+    var idx, wa, ra, la, k, q, i;
+    
+    // Check parameters
+    if ((typeof it !== "object") || (typeof exact !== "boolean")) {
+      fault(func_name, 100);
+    }
+    
+    // Get the index and the words to look up in it
+    if (exact) {
+      idx = m_idx_eng;
+      wa = it.w;
+    } else {
+      idx = m_idx_stem;
+      if (it.t === "s") {
+        // Drop a leading "to" from a phrase, as stemDef() does
+        wa = it.w.map(stemWord);
+        if ((wa[0] === "to") && (wa.length > 1)) {
+          wa = wa.slice(1);
+        }
+      } else {
+        wa = stemWord(it.w);
+      }
+    }
+    
+    // Handle each kind of item
+    if (it.t === "w") {
+      // Whole word
+      if (wa in idx) {
+        return idx[wa];
+      }
+      return [];
+    
+    } else if (it.t === "p") {
+      // Prefix, so combine all matching tokens
+      la = [];
+      for(k in m_idx_eng) {
+        if (k.startsWith(it.w)) {
+          la.push(m_idx_eng[k]);
+        }
+      }
+      return unionLists(la);
+    
+    } else if (it.t === "s") {
+      // Phrase, so start with entries that have all the words
+      ra = null;
+      for(i = 0; i < wa.length; i++) {
+        if (!(wa[i] in idx)) {
+          return [];
+        }
+        if (ra === null) {
+          ra = idx[wa[i]];
+        } else {
+          ra = intersectSorted(ra, idx[wa[i]]);
+        }
+      }
+      
+      // Keep the entries where a definition has the phrase
+      q = wa.join(" ");
+      if (exact) {
+        return ra.filter(function(wid) {
+          return canto_words[wid][3].some(
+            d => (indexOfWord(
+                    d.toLowerCase().replace(/[\s-]+/g, " "), q) >= 0));
+        });
+      } else {
+        return ra.filter(function(wid) {
+          return m_stem_def[wid].some(d => (indexOfWord(d, q) >= 0));
+        });
+      }
+    
+    } else {
+      fault(func_name, 200);
+    }
+  }
+  
+  /*
+   * Run a word query and return the ranked results.
+   * 
+   * Each whitespace-separated term in the query must appear as a whole
+   * word somewhere in the definitions of a matching entry.  The query
+   * may also use phrases, alternatives, exclusions and prefixes, as
+   * described for parseWordQuery().  Matching is done with the English
+   * token index rather than by scanning every dictionary entry.
+   * 
+   * Results are ranked by the words and phrases that every result must
+   * have; alternatives and prefixes do not count towards the ranking.
+   * 
+   * Unless exact is true, words are matched by their stems, so that
+   * "dogs" matches "dog" and "running" matches "to run".  A leading
+   * "to" in the query is then ignored.  See stemWord() for the details.
+   * 
+   * If the query contains any Han characters, it is instead handled as
+   * a headword query by headwordResults().
+   * 
+   * The return value is in the format returned by rankWords().
+   * 
+   * The indices must first be built with buildIndices() before calling
+   * this function or a fault occurs.
+   * 
+   * Parameters:
+   * 
+   *   str : string - the word query string
+   * 
+   *   exact : boolean - true to match words exactly
+   * 
+   * Return:
+   * 
+   *   the ranked result array
+   */
+  function wordResults(str, exact) {
+    
+    var func_name = "wordResults";
+    var ca, qta, pla, nla, ra;
+    var i, j;
+    
+    // Check state
+    if (!m_built) {
+      fault(func_name, 50);
+    }
+    
+    // Check parameter
+    if ((typeof str !== "string") || (typeof exact !== "boolean")) {
+      fault(func_name, 100);
+    }
+    
+    // Trim leading and trailing whitespace
+    str = str.trim();
+    
+    // If string empty after trimming, return no results
+    if (str.length < 1) {
+      return [];
+    }
+    
+    // If there are Han characters, handle as a headword query
+    if ((/\p{Script=Han}/u).test(str)) {
+      return headwordResults(str);
+    }
+    
+    // Parse the query, returning no results if it is not valid
+    ca = parseWordQuery(str);
+    if (ca === null) {
+      return [];
+    }
+    
+    // When stemming, drop a leading "to" as in a verb gloss, as long as
+    // something else is left
+    if ((!exact) && (ca.length > 1) && (!ca[0].neg) &&
+        (ca[0].alts.length === 1) && (ca[0].alts[0].t === "w") &&
+        (ca[0].alts[0].w === "to")) {
+      ca = ca.slice(1);
+      if (ca.every(x => x.neg)) {
+        return [];
+      }
+    }
+    
+    // Get the posting list of each clause, separating the required
+    // clauses from the excluded ones; the words and phrases of required
+    // clauses that have no alternatives are the terms used for ranking
+    pla = [];
+    nla = [];
+    qta = [];
+    for(i = 0; i < ca.length; i++) {
+      if (ca[i].neg) {
+        nla.push(itemPostings(ca[i].alts[0], exact));
+        continue;
+      }
+      if (ca[i].alts.length > 1) {
+        ra = ca[i].alts.map(x => itemPostings(x, exact));
+        pla.push(unionLists(ra));
+      } else {
+        pla.push(itemPostings(ca[i].alts[0], exact));
+        if (ca[i].alts[0].t === "w") {
+          qta.push(ca[i].alts[0].w);
+        } else if (ca[i].alts[0].t === "s") {
+          for(j = 0; j < ca[i].alts[0].w.length; j++) {
+            qta.push(ca[i].alts[0].w[j]);
+          }
+        }
+      }
+    }
+    
+    // Sort the required posting lists from shortest to longest so that
+    // the intersection shrinks as quickly as possible
+    pla.sort(function(a, b) {
+      return a.length - b.length;
+    });
+    
+    // Intersect all the required posting lists
+    ra = pla[0];
+    for(i = 1; i < pla.length; i++) {
+      ra = intersectSorted(ra, pla[i]);
+      if (ra.length < 1) {
+        break;
+      }
+    }
+    
+    // Remove the excluded entries
+    for(i = 0; (i < nla.length) && (ra.length > 0); i++) {
+      ra = subtractSorted(ra, nla[i]);
+    }
+    
+    // Rank the results by relevance
+    return rankWords(qta, ra, exact);
+  }
+  
+  /*
+   * Given an array of codepoints, return the union of the posting lists
+   * for those codepoints in the headword character index.
+   * 
+   * Parameters:
+   * 
+   *   cpa : array of integers - the codepoints
+   * 
+   * Return:
+   * 
+   *   array of canto_words indices in ascending order, without
+   *   duplicates
+   */
+  function headwordsWith(cpa) {
+    
+    var func_name = "headwordsWith";
+    var la, i, k;
+    
+    // Check parameter
+    if (!(cpa instanceof Array)) {
+      fault(func_name, 100);
+    }
+    
+    // Gather all the posting lists
+    la = [];
+    for(i = 0; i < cpa.length; i++) {
+      k = cpa[i].toString(16).toLowerCase();
+      if (k in m_idx_chw) {
+        la.push(m_idx_chw[k]);
+      }
+    }
+    
+    // Return the union, concatenating the lists only once
+    return unionLists(la);
+  }
+  
+  /*
+   * Check whether a headword has readings matching a sequence of
+   * syllable reading sets.
+   * 
+   * The headword matches if it has exactly one codepoint per reading
+   * set and each codepoint has at least one reading within its set.
+   * 
+   * Parameters:
+   * 
+   *   hw : string - the headword
+   * 
+   *   rsa : array of objects - for each syllable, an object whose
+   *   property keys are the acceptable Jyutping readings
+   * 
+   * Return:
+   * 
+   *   true if the headword matches, false otherwise
+   */
+  function headwordReads(hw, rsa) {
+    
+    var func_name = "headwordReads";
+    var ca, ci, i, j;
+    
+    // Check parameters
+    if ((typeof hw !== "string") || (!(rsa instanceof Array))) {
+      fault(func_name, 100);
+    }
+    
+    // Split headword into codepoints and check the count
+    ca = Array.from(hw);
+    if (ca.length !== rsa.length) {
+      return false;
+    }
+    
+    // Check each codepoint against its reading set
+    for(i = 0; i < ca.length; i++) {
+      ci = seekCode(ca[i].codePointAt(0));
+      if (ci < 0) {
+        return false;
+      }
+      for(j = 0; j < canto_chars[ci].crd.length; j++) {
+        if (canto_chars[ci].crd[j] in rsa[i]) {
+          break;
+        }
+      }
+      if (j >= canto_chars[ci].crd.length) {
+        return false;
+      }
+    }
+    
+    // If we got here, all codepoints matched
+    return true;
+  }
+  
+  /*
+   * Run a Cantonese reading query and return the ranked results.
+   * 
+   * The query is a sequence of syllables separated by whitespace.
+   * Syllables ending in a tone number may also be written without
+   * whitespace between them.  Each syllable may be in any of the
+   * romanization formats accepted by charGroups() for a reading, so
+   * Jyutping, tone-less Jyutping, Jyutping wildcards and Yale are all
+   * allowed.  A "j:" or "y:" prefix at the start of the query applies
+   * to every syllable that does not have a prefix of its own, so
+   * "j:gau zai" is tone-less Jyutping.
+   * 
+   * A dictionary entry matches if its traditional or simplified
+   * headword has one character per syllable, and each character has a
+   * reading that matches its syllable.
+   * 
+   * The return value is in the format returned by rankWords().
+   * 
+   * The indices must first be built with buildIndices() before calling
+   * this function or a fault occurs.
+   * 
+   * Parameters:
+   * 
+   *   str : string - the reading query string
+   * 
+   * Return:
+   * 
+   *   the ranked result array
+   */
+  function readingResults(str) {
+    
+    var func_name = "readingResults";
+    var sa, ga, rsa, cpa, ra, p, i, j;
+    
+    // Check state
+    if (!m_built) {
+      fault(func_name, 50);
+    }
+    
+    // Check parameter
+    if (typeof str !== "string") {
+      fault(func_name, 100);
+    }
+    
+    // Take off a prefix for the whole query
+    str = str.trim();
+    p = "";
+    if ((/^[jy]:/i).test(str)) {
+      p = str.slice(0, 2).toLowerCase();
+      str = str.slice(2);
+    }
+    
+    // Insert a space after each tone number that is directly followed
+    // by a letter, then split into syllables on whitespace, putting the
+    // prefix on each syllable without one
+    str = str.trim().replace(/([1-6])(?=[A-Za-z])/g, "$1 ");
+    if (str.length < 1) {
+      return [];
+    }
+    sa = str.split(/\s+/).map(x => ((/^[a-z]+:/i).test(x) ? x : p + x));
+    
+    // Get the set of acceptable readings for each syllable, along with
+    // the entries that contain any character of each set
+    rsa = [];
+    ra = null;
+    for(i = 0; i < sa.length; i++) {
+      // Look up the syllable as a character query
+      ga = charGroups(sa[i]);
+      
+      // Gather the readings and codepoints of the groups; groups that
+      // did not come from a reading mean the syllable was not actually
+      // a romanization, so there are no results
+      rsa.push({});
+      cpa = [];
+      for(j = 0; j < ga.length; j++) {
+        if (ga[j].syl.length < 1) {
+          return [];
+        }
+        rsa[i][ga[j].syl] = true;
+        cpa = cpa.concat(ga[j].cpa);
+      }
+      if (cpa.length < 1) {
+        return [];
+      }
+      
+      // Narrow the candidate entries
+      if (ra === null) {
+        ra = headwordsWith(cpa);
+      } else {
+        ra = intersectSorted(ra, headwordsWith(cpa));
+      }
+      if (ra.length < 1) {
+        return [];
+      }
+    }
+    
+    // Only keep the candidates whose headwords actually match the
+    // readings in order
+    ra = ra.filter(function(x) {
+      return (headwordReads(canto_words[x][0], rsa) ||
+                headwordReads(canto_words[x][1], rsa));
+    });
+    
+    // Rank the results without any English query terms
+    return rankWords([], ra, true);
+  }
+  
+  /*
+   * Find all the dictionary entries that use a character and return
+   * them as ranked results.
+   * 
+   * The query string must be a single character.  An entry matches if
+   * its traditional or simplified headword contains that character,
+   * which is looked up in the headword character index.  Results are
+   * sorted by headword length, so that the shortest words come first,
+   * and then by descending relevance as computed by rankWords().
+   * 
+   * The return value is in the format returned by rankWords().
+   * 
+   * The indices must first be built with buildIndices() before calling
+   * this function or a fault occurs.
+   * 
+   * Parameters:
+   * 
+   *   str : string - the character
+   * 
+   * Return:
+   * 
+   *   the ranked result array
+   */
+  function charWordResults(str) {
+    
+    var func_name = "charWordResults";
+    var sa, ra;
+    
+    // Check state
+    if (!m_built) {
+      fault(func_name, 50);
+    }
+    
+    // Check parameter
+    if (typeof str !== "string") {
+      fault(func_name, 100);
+    }
+    
+    // Query must be exactly one character
+    sa = Array.from(str.trim());
+    if (sa.length !== 1) {
+      return [];
+    }
+    
+    // Rank all the entries that have the character
+    ra = rankWords([], headwordsWith([sa[0].codePointAt(0)]), true);
+    
+    // Put the shortest headwords first, keeping the relevance order
+    // among headwords of the same length
+    ra = ra.map(function(x, i) {
+      return {
+        "r": x,
+        "i": i,
+        "n": Array.from(canto_words[x.wid][0]).length
+      };
+    });
+    ra.sort(function(a, b) {
+      if (a.n !== b.n) {
+        return a.n - b.n;
+      }
+      return a.i - b.i;
+    });
+    return ra.map(x => x.r);
+  }
+  
+  /*
+   * Normalize a single Pinyin syllable from a query.
+   * 
+   * The syllable may have a tone number 1-5 at the end, tone diacritics
+   * on a vowel, or no tone at all.  U-umlaut may be written as "u:",
+   * "v" or with a combining or precomposed diaeresis.  Case is ignored.
+   * 
+   * The return value is an object with a "b" property that is the
+   * lowercase syllable without tone, using "u:" for U-umlaut, and a "t"
+   * property that is the tone number as a string, or an empty string if
+   * there is no tone.  If the syllable is not valid, null is returned.
+   * 
+   * Parameters:
+   * 
+   *   str : string - the Pinyin syllable
+   * 
+   * Return:
+   * 
+   *   the normalized syllable object, or null
+   */
+  function normPinyin(str) {
+    
+    var func_name = "normPinyin";
+    var t, m;
+    
+    // Check parameter
+    if (typeof str !== "string") {
+      fault(func_name, 100);
+    }
+    
+    // Decompose to NFD and make lowercase
+    str = str.normalize("NFD").toLowerCase();
+    
+    // Change diaeresis and "v" to the dictionary U-umlaut notation
+    str = str.replace(/u\u0308/g, "u:");
+    str = str.replace(/v/g, "u:");
+    
+    // Get the tone from a tone number, or else from a tone diacritic
+    t = "";
+    m = str.match(/[1-5]$/);
+    if (m != null) {
+      t = m[0];
+      str = str.slice(0, -1);
+    }
+    if ((/[\u0304\u0301\u030c\u0300]/).test(str)) {
+      // Can't have both a tone number and a diacritic, nor more than
+      // one diacritic
+      if ((t.length > 0) ||
+          (str.match(/[\u0304\u0301\u030c\u0300]/g).length > 1)) {
+        return null;
+      }
+      
+      if (str.indexOf("\u0304") >= 0) {
+        t = "1";
+      } else if (str.indexOf("\u0301") >= 0) {
+        t = "2";
+      } else if (str.indexOf("\u030c") >= 0) {
+        t = "3";
+      } else {
+        t = "4";
+      }
+      str = str.replace(/[\u0304\u0301\u030c\u0300]/g, "");
+    }
+    
+    // Whatever remains must be letters, with colons only after "u"
+    if (!((/^([a-z]|u:)+$/).test(str))) {
+      return null;
+    }
+    
+    // Return the normalized syllable
+    return {"b": str, "t": t};
+  }
+  
+  /*
+   * Run a Pinyin query and return the ranked results.
+   * 
+   * The query is a sequence of Mandarin Pinyin syllables separated by
+   * whitespace or apostrophes.  Syllables ending in a tone number may
+   * also be written without a separator between them.  Each syllable
+   * is normalized with normPinyin(), so numbered, tone-less and
+   * diacritic forms are all accepted.  A dictionary entry matches if
+   * its Pinyin reading has exactly these syllables in order, ignoring
+   * punctuation elements, and the tones match wherever the query gives
+   * a tone.
+   * 
+   * The return value is in the format returned by rankWords().
+   * 
+   * The indices must first be built with buildIndices() before calling
+   * this function or a fault occurs.
+   * 
+   * Parameters:
+   * 
+   *   str : string - the Pinyin query string
+   * 
+   * Return:
+   * 
+   *   the ranked result array
+   */
+  function pinyinResults(str) {
+    
+    var func_name = "pinyinResults";
+    var sa, qa, ra, r, i;
+    
+    // Check state
+    if (!m_built) {
+      fault(func_name, 50);
+    }
+    
+    // Check parameter
+    if (typeof str !== "string") {
+      fault(func_name, 100);
+    }
+    
+    // Insert a space after each tone number that is directly followed
+    // by something else, then split into syllables on whitespace and
+    // apostrophes
+    str = str.trim().replace(/([1-5])(?=[^\s1-5'])/g, "$1 ");
+    str = str.replace(/[\u2018\u2019']/g, " ").trim();
+    if (str.length < 1) {
+      return [];
+    }
+    sa = str.split(/\s+/);
+    
+    // Normalize each syllable and narrow the candidate entries
+    qa = [];
+    ra = null;
+    for(i = 0; i < sa.length; i++) {
+      r = normPinyin(sa[i]);
+      if ((r === null) || (!(r.b in m_idx_pin))) {
+        return [];
+      }
+      qa.push(r);
+      
+      if (ra === null) {
+        ra = m_idx_pin[r.b];
+      } else {
+        ra = intersectSorted(ra, m_idx_pin[r.b]);
+      }
+      if (ra.length < 1) {
+        return [];
+      }
+    }
+    
+    // Only keep the candidates whose readings match in order
+    ra = ra.filter(function(x) {
+      var pa, j, b, t;
+      
+      // Get the lowercase syllables, without punctuation elements
+      pa = canto_words[x][2].map(y => y.toLowerCase()).filter(
+        y => (/[a-z]/).test(y));
+      if (pa.length !== qa.length) {
+        return false;
+      }
+      
+      // Compare each syllable
+      for(j = 0; j < pa.length; j++) {
+        if ((/[1-5]$/).test(pa[j])) {
+          b = pa[j].slice(0, -1);
+          t = pa[j].slice(-1);
+        } else {
+          b = pa[j];
+          t = "";
+        }
+        if (b !== qa[j].b) {
+          return false;
+        }
+        if ((qa[j].t.length > 0) && (t !== qa[j].t)) {
+          return false;
+        }
+      }
+      
+      return true;
+    });
+    
+    // Rank the results without any English query terms
+    return rankWords([], ra, true);
+  }
+  
+  /*
+   * Run a word query in the given mode and return the ranked results.
+   * 
+   * The mode is "eng" for an English definition query (see
+   * wordResults), "engx" for the same with exact word matching, "jyu"
+   * for a Cantonese reading query (see readingResults), "pin" for a
+   * Mandarin Pinyin query (see pinyinResults) or "chw" for the words
+   * that use a character (see charWordResults).
+   * 
+   * The return value is in the format returned by rankWords().
+   * 
+   * Parameters:
+   * 
+   *   str : string - the query string
+   * 
+   *   mode : string - the query mode
+   * 
+   * Return:
+   * 
+   *   the ranked result array
+   */
+  function modeResults(str, mode) {
+    
+    var func_name = "modeResults";
+    
+    // Check parameters
+    if ((typeof str !== "string") || (typeof mode !== "string")) {
+      fault(func_name, 100);
+    }
+    
+    // Dispatch on mode
+    if (mode === "eng") {
+      return wordResults(str, false);
+    } else if (mode === "engx") {
+      return wordResults(str, true);
+    } else if (mode === "jyu") {
+      return readingResults(str);
+    } else if (mode === "pin") {
+      return pinyinResults(str);
+    } else if (mode === "chw") {
+      return charWordResults(str);
+    } else {
+      fault(func_name, 200);
+    }
+  }
+  
+  /*
+   * Convert a Yale syllable that has already been split into initial,
+   * final and tone into the possible Jyutping syllables.
+   * 
+   * This holds the initial and final mapping shared by all the Yale
+   * input formats.  The initial and final must be lowercase ASCII with
+   * all diacritics and the low-tone marker "h" already removed, and the
+   * final must begin with the first vowel (or the "y" of "yu").
+   * 
+   * Usually one Jyutping syllable is returned, but Yale "yu" finals
+   * with no initial are ambiguous, so two are returned in that case.
+   * If the initial is not a valid Yale initial, an empty array is
+   * returned.  The returned syllables are not checked against the
+   * Jyutping index.
+   * 
+   * Parameters:
+   * 
+   *   nt : string - the Yale initial, or empty string if none
+   * 
+   *   f : string - the Yale final
+   * 
+   *   t : number(int) - the tone number 1-6
+   * 
+   * Return:
+   * 
+   *   array of possible Jyutping syllables
+   */
+  function yaleToJyutping(nt, f, t) {
+    
+    var func_name = "yaleToJyutping";
+    var str;
+    
+    // Check parameters
+    if ((typeof nt !== "string") || (typeof f !== "string") ||
+        (typeof t !== "number")) {
+      fault(func_name, 100);
+    }
+    
+    // Make sure initial is allowed, if present
+    if (nt.length > 0) {
+      if (VALID_INITIALS.indexOf(":" + nt + ":") < 0) {
+        return [];
+      }
+    }
+    
+    // Make sure we don't have a "y" initial followed by a final that
+    // starts with "yu"
+    if ((nt === "y") && ((/^yu/).test(f))) {
+      return [];
+    }
+    
+    // Transform initial to Jyutping
+    if (nt === "y") {
+      nt = "j";
+    } else if (nt === "j") {
+      nt = "z";
+    } else if (nt === "ch") {
+      nt = "c";
+    }
+    
+    // If initial is empty and final starts with "yu" then insert "j"
+    // as the initial
+    if ((nt.length < 1) && ((/^yu/).test(f))) {
+      nt = "j";
+    }
+    
+    // If final is just "a" then change to Jyutping "aa"
+    if (f === "a") {
+      f = "aa";
+    }
+    
+    // If final begins with "eu" then change to "oe" or "eo" depending
+    // on what follows
+    if ((/^eu/).test(f)) {
+      // For eui, eun, eut change to eo, else change to oe
+      if ((/^eu[int]$/).test(f)) {
+        f = "eo" + f.slice(2);
+      } else {
+        if (f.length > 2) {
+          f = "oe" + f.slice(2);
+        } else {
+          f = "oe";
+        }
+      }
+    }
+    
+    // Get the Jyutping version
+    str = nt + f + t.toString(10);
+    
+    // Jyutping that starts with "jyu" is ambiguous, because the Yale
+    // could also be for "ju" in Jyutping, so return both possibilities
+    if ((/^jyu/).test(str)) {
+      return [str, "j" + str.slice(2)];
+    } else {
+      return [str];
+    }
+  }
+  
+  /*
+   * Split a syllable in numeric Yale, which is Yale romanization with
+   * a tone number 1-6 at the end instead of diacritics, such as "yau4"
+   * or "jeung1", into its initial, final and tone.
+   * 
+   * The low-tone marker "h" is optional for tones 4-6, so "yauh4" is
+   * also accepted, and it is dropped from the returned final.  The
+   * initial is checked against the Yale initials, but the final is not
+   * checked.
+   * 
+   * The return value is an object with properties "nt" for the initial
+   * (empty string if none), "f" for the final, and "t" for the integer
+   * tone number.  If the syllable can't be split, the return value is
+   * instead an error object in the format described for
+   * parseSyllable(), without the "system" property.
+   * 
+   * Parameters:
+   * 
+   *   str : string - the numeric Yale syllable
+   * 
+   * Return:
+   * 
+   *   the split syllable, or an error object
+   */
+  function splitNumYale(str) {
+    
+    var func_name = "splitNumYale";
+    var t, nt, f, m, fvi, lvi;
+    
+    // Check parameter
+    if (typeof str !== "string") {
+      fault(func_name, 100);
+    }
+    
+    // Make lowercase and check the basic format
+    str = str.trim().toLowerCase();
+    if (!((/^[a-z]+[0-9]$/).test(str))) {
+      return {"error": "format", "part": str};
+    }
+    
+    // Split off the tone
+    t = parseInt(str.slice(-1), 10);
+    str = str.slice(0, -1);
+    if ((t < 1) || (t > 6)) {
+      return {"error": "tone", "part": t.toString(10)};
+    }
+    
+    // Split into initial and final
+    if (!((/[aeiou]/).test(str))) {
+      // No vowels, so must be a syllabic nasal, possibly with the
+      // low-tone marker
+      m = str.match(/(m|ng)h?$/);
+      if (m == null) {
+        return {"error": "final", "part": str};
+      }
+      nt = str.slice(0, m.index);
+      f = str.slice(m.index);
+      if ((/h$/).test(f)) {
+        if (t < 4) {
+          return {"error": "tone", "part": str + t.toString(10)};
+        }
+        f = f.slice(0, -1);
+      }
+      
+    } else {
+      // Drop the low-tone marker after the last vowel, if present
+      lvi = lastVowel(str);
+      if (str.charAt(lvi + 1) === "h") {
+        if (t < 4) {
+          return {"error": "tone", "part": str + t.toString(10)};
+        }
+        str = str.slice(0, lvi + 1) + str.slice(lvi + 2);
+      }
+      
+      // Final starts on first vowel, or on a "y" before a "u"
+      fvi = firstVowel(str);
+      if ((str.charAt(fvi) === "u") && (fvi > 0)) {
+        if (str.charAt(fvi - 1) === "y") {
+          fvi--;
+        }
+      }
+      nt = str.slice(0, fvi);
+      f = str.slice(fvi);
+    }
+    
+    // Make sure initial is allowed, if present
+    if (nt.length > 0) {
+      if (VALID_INITIALS.indexOf(":" + nt + ":") < 0) {
+        return {"error": "initial", "part": nt};
+      }
+    }
+    
+    // Return the split syllable
+    return {"nt": nt, "f": f, "t": t};
+  }
+  
+  /*
+   * Convert a syllable in numeric Yale into the possible Jyutping
+   * syllables.
+   * 
+   * See splitNumYale() for the format.  An empty array is returned if
+   * the syllable is not valid numeric Yale.  The returned syllables are
+   * not checked against the Jyutping index.
+   * 
+   * Parameters:
+   * 
+   *   str : string - the numeric Yale syllable
+   * 
+   * Return:
+   * 
+   *   array of possible Jyutping syllables
+   */
+  function numYaleToJyutping(str) {
+    
+    var func_name = "numYaleToJyutping";
+    var sp;
+    
+    // Check parameter
+    if (typeof str !== "string") {
+      fault(func_name, 100);
+    }
+    
+    // Split the syllable
+    sp = splitNumYale(str);
+    if ("error" in sp) {
+      return [];
+    }
+    
+    // Convert to Jyutping
+    return yaleToJyutping(sp.nt, sp.f, sp.t);
+  }
+  
+  /*
+   * Look up a syllable in numeric Yale.
+   * 
+   * See numYaleToJyutping() for the format.  The result is in the same
+   * format as charGroups().
+   * 
+   * The indices must first be built with buildIndices() before calling
+   * this function or a fault occurs.
+   * 
+   * Parameters:
+   * 
+   *   str : string - the numeric Yale syllable
+   * 
+   * Return:
+   * 
+   *   array of character groups, which may be empty
+   */
+  function numYaleGroups(str) {
+    
+    var func_name = "numYaleGroups";
+    
+    // Check state
+    if (!m_built) {
+      fault(func_name, 50);
+    }
+    
+    // Check parameter
+    if (typeof str !== "string") {
+      fault(func_name, 100);
+    }
+    
+    // Convert to Jyutping and look up each possible syllable
+    return sylGroups(
+      numYaleToJyutping(str).filter(x => (x in m_idx_jyu)));
+  }
+  
+  /*
+   * Convert a syllable in the Guangdong Cantonese Pinyin or Sidney Lau
+   * romanization into the possible Jyutping syllables.
+   * 
+   * The system is "cp" for Cantonese Pinyin or "sl" for Sidney Lau.
+   * The tone number at the end is optional.  Tones 7, 8 and 9, which
+   * some books use for the entering tones, are changed to 1, 3 and 6.
+   * A degree sign after the tone number, which Sidney Lau uses to mark
+   * the high level variant of tone 1, is ignored.  For Cantonese
+   * Pinyin, "v" may be typed for "ü".
+   * 
+   * If the syllable has no tone number, the returned Jyutping
+   * syllables have no tone number either.  The returned syllables are
+   * not checked against the Jyutping index.  An empty array is returned
+   * if the syllable is not valid in the system.
+   * 
+   * Parameters:
+   * 
+   *   str : string - the syllable to convert
+   * 
+   *   sys : string - the romanization system
+   * 
+   * Return:
+   * 
+   *   array of possible Jyutping syllables
+   */
+  function foreignToJyutping(str, sys) {
+    
+    var func_name = "foreignToJyutping";
+    var ini, fin, t, ra, nt, f, i;
+    
+    // Check parameters
+    if ((typeof str !== "string") || (typeof sys !== "string")) {
+      fault(func_name, 100);
+    }
+    
+    // Get the mapping tables
+    if (sys === "cp") {
+      ini = CP_INITIALS;
+      fin = CP_FINALS;
+    } else if (sys === "sl") {
+      ini = SL_INITIALS;
+      fin = SL_FINALS;
+    } else {
+      fault(func_name, 110);
+    }
+    
+    // Normalize to lowercase NFC and drop any degree sign
+    str = str.trim().normalize("NFC").toLowerCase();
+    str = str.replace(/\u00b0$/, "");
+    if (sys === "cp") {
+      str = str.replace(/v/g, "\u00fc");
+    }
+    
+    // Split off the tone, if present
+    t = "";
+    if ((/[1-9]$/).test(str)) {
+      t = parseInt(str.slice(-1), 10);
+      if (t === 7) {
+        t = 1;
+      } else if (t === 8) {
+        t = 3;
+      } else if (t === 9) {
+        t = 6;
+      }
+      t = t.toString(10);
+      str = str.slice(0, -1);
+    }
+    
+    // Try every way of splitting into an initial (possibly empty) and
+    // a final
+    ra = [];
+    for(i = 0; i < str.length; i++) {
+      // Get the initial, skipping unrecognized initials
+      if (i > 0) {
+        nt = str.slice(0, i);
+        if (!(nt in ini)) {
+          continue;
+        }
+      } else {
+        nt = "";
+      }
+      f = str.slice(i);
+      
+      // In Cantonese Pinyin, "u" after "j", "q", "x" and "y" is "ü"
+      if ((sys === "cp") && ((/^[jqxy]$/).test(nt)) &&
+          ((/^u/).test(f))) {
+        f = "\u00fc" + f.slice(1);
+      }
+      
+      // Skip unrecognized finals
+      if (!(f in fin)) {
+        continue;
+      }
+      
+      // Convert to Jyutping
+      if (nt.length > 0) {
+        nt = ini[nt];
+      }
+      f = fin[f];
+      
+      // Add the Jyutping if not already present
+      if (ra.indexOf(nt + f + t) < 0) {
+        ra.push(nt + f + t);
+      }
+    }
+    
+    // Return the possibilities
+    return ra;
+  }
+  
+  /*
+   * Reduce a Yale syllable with diacritics to the apostrophe escape
+   * form.
+   * 
+   * The string is decomposed to NFD, circumflexes are taken to be
+   * macrons, and curly single quotes are changed to ASCII apostrophes.
+   * Then a grave accent becomes an apostrophe before its letter, an
+   * acute accent an apostrophe after its letter, and a macron an
+   * apostrophe on both sides.  Apostrophe escapes already present in
+   * the input are kept as they are.  The result is made lowercase.
+   * 
+   * Parameters:
+   * 
+   *   str : string - the Yale syllable
+   * 
+   * Return:
+   * 
+   *   the apostrophe escape form, or null if the syllable has misplaced
+   *   diacritics or anything besides letters and apostrophes
+   */
+  function yaleApostrophes(str) {
+    
+    var func_name = "yaleApostrophes";
+    var c, i, sa, sb, sc;
+    
+    // Check parameter
+    if (typeof str !== "string") {
+      fault(func_name, 100);
+    }
+    
+    // Begin by decomposing to NFD form
+    str = str.normalize("NFD");
+    
+    // Change all combining circumflex marks to combining macrons
+    str = str.replace(/\u0302/g, String.fromCharCode(0x0304));
+    
+    // Change all left single quotes and right single quotes to ASCII
+    // apostrophes
+    str = str.replace(/\u2018/g, "'");
+    str = str.replace(/\u2019/g, "'");
+    
+    // Process all combining grave accents, acute accents, and macrons
+    // starting from end of string to beginning, checking that they are
+    // only used immediately behind an ASCII letter (returning no
+    // results if not) and then replacing them with the appropriate
+    // apostrophe escape code around the letter
+    for(i = lastDiacritic(str); i >= 0; i = lastDiacritic(str)) {
+      
+      // If last diacritic is very first character, then this is not
+      // valid
+      if (i === 0) {
+        return null;
+      }
+      
+      // Last diacritic must be preceded by an ASCII letter, or else it
+      // is not valid
+      c = str.charCodeAt(i - 1);
+      if (((c < 0x41) || (c > 0x5a)) && ((c < 0x61) || (c > 0x7a))) {
+        return null;
+      }
+      
+      // Get the string before the previous character, the previous
+      // character, the codepoint of this diacritic, and everything
+      // after this diacritic
+      if (i > 1) {
+        sa = str.slice(0, i - 1);
+      } else {
+        sa = "";
+      }
+      
+      sb = str.charAt(i - 1);
+      c = str.charCodeAt(i);
+      
+      if (i < str.length - 1) {
+        sc = str.slice(i + 1);
+      } else {
+        sc = "";
+      }
+      
+      // Remove the diacritic and insert the appropriate apostrophes
+      // around the letter that precedes it
+      if (c === 0x0300) {
+        // Grave accent
+        str = sa + "'" + sb + sc;
+        
+      } else if (c === 0x0301) {
+        // Acute accent
+        str = sa + sb + "'" + sc;
+        
+      } else if (c === 0x0304) {
+        // Macron
+        str = sa + "'" + sb + "'" + sc;
+        
+      } else {
+        // Shouldn't happen
+        fault(func_name, 200);
+      }
+    }
+    
+    // Now that we have reduced diacritics to apostrophes and handled
+    // all substitutions, we can make everything lowercase
+    str = str.toLowerCase();
+    
+    // The only thing that should be left in the string at this point is
+    // lowercase ASCII letters and apostrophes; if anything else, string
+    // is not valid
+    if (!((/^[a-z']+$/).test(str))) {
+      return null;
+    }
+    
+    // Return the escaped form
+    return str;
+  }
+  
+  /*
+   * Split a Yale syllable into its initial, final and tone.
+   * 
+   * The syllable may use diacritics or the apostrophe escapes for the
+   * tone, and the low-tone marker "h" for tones 4-6.  See
+   * yaleApostrophes() for the details.  The tone marks and the low-tone
+   * marker are dropped from the returned final.  The initial is checked
+   * against the Yale initials, but the final is not checked.
+   * 
+   * The return value is in the same format as splitNumYale().
+   * 
+   * Parameters:
+   * 
+   *   str : string - the Yale syllable
+   * 
+   * Return:
+   * 
+   *   the split syllable, or an error object
+   */
+  function splitYale(str) {
+    
+    var func_name = "splitYale";
+    var f, nt, m, t, ys;
+    var fvi, lvi, ab, af;
+    
+    // Check parameter
+    if (typeof str !== "string") {
+      fault(func_name, 100);
+    }
+    
+    // Reduce diacritics to apostrophe escapes
+    ys = str.trim();
+    str = yaleApostrophes(ys);
+    if (str === null) {
+      return {"error": "format", "part": ys};
+    }
+    
+    // First we want to completely handle the case where there are no
+    // vowels aeiou anywhere, which can only validly happen when there
+    // is a syllabic m or ng nasal
+    if (!((/[aeiou]/).test(str))) {
+      
+      // Look at the end of the string to figure out what syllabic nasal
+      // we have and get the final
+      m = str.match(/('?m'?h?|n'?g'?h?)$/);
+      if (m == null) {
+        return {"error": "final", "part": str.replace(/'/g, "")};
+      }
+      
+      // Split into initial and final
+      if (m.index > 0) {
+        nt = str.slice(0, m.index);
+      } else {
+        nt = "";
+      }
+      
+      f = str.slice(m.index);
+      
+      // Make sure we don't have the invalid combination of macron with
+      // low marker h
+      if ((f === "'m'h") || (f === "n'g'h")) {
+        return {"error": "tone", "part": ys};
+      }
+      
+      // Replace macron with grave accent
+      f = f.replace(/'(m|g)'/g, "'$1");
+      
+      // If final ends with low marker h, start tone at 6 and remove
+      // marker; else, start tone at 3
+      if ((/h$/).test(f)) {
+        t = 6;
+        f = f.slice(0, -1);
+      } else {
+        t = 3;
+      }
+      
+      // If there is an apostrophe, adjust tone marker and remove the
+      // apostrophe
+      if ((/'(m|g)/).test(f)) {
+        // Grave accent
+        t = t - 2;
+      
+      } else if ((/(m|g)'/).test(f)) {
+        // Acute accent
+        t = t - 1;
+      }
+      
+      f = f.replace(/'/g, "");
+      
+      // Make sure initial is allowed, if present
+      if (nt.length > 0) {
+        if (VALID_INITIALS.indexOf(":" + nt + ":") < 0) {
+          return {"error": "initial", "part": nt};
+        }
+      }
+      
+      // Return the split syllable
+      return {"nt": nt, "f": f, "t": t};
+    }
+    
+    // Get indices of first non-Y vowel and last non-Y vowel in string
+    fvi = firstVowel(str);
+    lvi = lastVowel(str);
+
+    // Should be at least one vowel at this point because we handled the
+    // case of no vowels earlier
+    if ((fvi === -1) || (lvi === -1)) {
+      fault(func_name, 300);
+    }
+    
+    // Figure out whether there is an apostrophe before and/or after the
+    // first vowel
+    ab = false;
+    af = false;
+    
+    if (fvi > 0) {
+      if (str.charAt(fvi - 1) === "'") {
+        ab = true;
+      }
+    }
+    
+    if (fvi < str.length - 1) {
+      if (str.charAt(fvi + 1) === "'") {
+        af = true;
+      }
+    }
+    
+    // Drop the apostrophes that surround the initial vowel and adjust
+    // fvi/lvi if necessary
+    if (ab) {
+      if (fvi > 1) {
+        str = str.slice(0, fvi - 1) + str.slice(fvi);
+      } else {
+        str = str.slice(1);
+      }
+      fvi--;
+      lvi--;
+    }
+    
+    if (af) {
+      if (fvi + 2 >= str.length) {
+        str = str.slice(0, -1);
+      } else {
+        str = str.slice(0, fvi + 1) + str.slice(fvi + 2);
+      }
+      if (lvi > fvi) {
+        lvi--;
+      }
+    }
+    
+    // If an "h" after the last vowel, then begin tone at 6, while
+    // otherwise begin tone at 3; remove marker h if present
+    if (lvi < str.length - 1) {
+      if (str.charAt(lvi + 1) === "h") {
+        t = 6;
+        if (lvi + 2 >= str.length) {
+          str = str.slice(0, -1);
+        } else {
+          str = str.slice(0, lvi + 1) + str.slice(lvi + 2);
+        }
+        
+      } else {
+        t = 3;
+      }
+      
+    } else {
+      t = 3;
+    }
+    
+    // Adjust tone based on apostrophes that surrounded the initial
+    // vowel
+    if (ab && af) {
+      // Both sides so macron -- make sure we are not currently at tone
+      // six, which can't use macron
+      if (t === 6) {
+        return {"error": "tone", "part": ys};
+      }
+      
+      // Macron equivalent in Jyutping to grave accent
+      t = t - 2;
+      
+    } else if (ab) {
+      // Apostrophe before so grave accent
+      t = t - 2;
+      
+    } else if (af) {
+      // Apostrophe after so acute accent
+      t = t - 1;
+    }
+    
+    // We now got the Jyutping tone number and dropped apostrophes and
+    // the h marker -- make sure no apostrophes remain
+    if (str.indexOf("'") !== -1) {
+      return {"error": "tone", "part": ys};
+    }
+    
+    // If the first vowel is a "u" that is preceded by a "y", move the
+    // first vowel index back one so that it points to the "y"
+    if ((str.charAt(fvi) === "u") && (fvi > 0)) {
+      if (str.charAt(fvi - 1) === "y") {
+        fvi--;
+      }
+    }
+    
+    // Split into initial and final, with final starting on first vowel
+    if (fvi > 0) {
+      nt = str.slice(0, fvi);
+    } else {
+      nt = "";
+    }
+    
+    f = str.slice(fvi);
+    
+    // Make sure initial is allowed, if present
+    if (nt.length > 0) {
+      if (VALID_INITIALS.indexOf(":" + nt + ":") < 0) {
+        return {"error": "initial", "part": nt};
+      }
+    }
+    
+    // Return the split syllable
+    return {"nt": nt, "f": f, "t": t};
+  }
+  
+  /*
+   * Convert a Yale syllable with diacritics or apostrophe escapes into
+   * the possible Jyutping syllables.
+   * 
+   * See splitYale() for the format.  An empty array is returned if the
+   * syllable is not valid Yale.  The returned syllables are not checked
+   * against the Jyutping index.
+   * 
+   * Parameters:
+   * 
+   *   str : string - the Yale syllable
+   * 
+   * Return:
+   * 
+   *   array of possible Jyutping syllables
+   */
+  function parseYale(str) {
+    
+    var func_name = "parseYale";
+    var sp;
+    
+    // Check parameter
+    if (typeof str !== "string") {
+      fault(func_name, 100);
+    }
+    
+    // Split the syllable
+    sp = splitYale(str);
+    if ("error" in sp) {
+      return [];
+    }
+    
+    // Convert the initial and final to Jyutping
+    return yaleToJyutping(sp.nt, sp.f, sp.t);
+  }
+  
+  /*
+   * Split a Jyutping syllable into its initial, final and tone.
+   * 
+   * The syllable is trimmed and made lowercase.  It must have a tone
+   * number.  If there are no vowels, the final must be a syllabic
+   * nasal; otherwise, the final begins at the first vowel or at "y",
+   * which can only begin a "yu" final in Jyutping.  Both the initial
+   * and the final are checked against the Jyutping inventory.
+   * 
+   * The return value is an object with properties "nt" for the initial
+   * (empty string if none), "f" for the final, and "t" for the integer
+   * tone number.  If the syllable is not valid, the return value is
+   * instead an error object in the format described for
+   * parseSyllable(), without the "system" property.
+   * 
+   * Parameters:
+   * 
+   *   str : string - the Jyutping syllable
+   * 
+   * Return:
+   * 
+   *   the split syllable, or an error object
+   */
+  function splitJyutping(str) {
+    
+    var func_name = "splitJyutping";
+    var t, nt, f, m, fi;
+    
+    // Check parameter
+    if (typeof str !== "string") {
+      fault(func_name, 100);
+    }
+    
+    // Make lowercase and check the basic format
+    str = str.trim().toLowerCase();
+    if (!((/^[a-z]+[0-9]$/).test(str))) {
+      return {"error": "format", "part": str};
+    }
+    
+    // Split off the tone
+    t = parseInt(str.slice(-1), 10);
+    str = str.slice(0, -1);
+    if ((t < 1) || (t > 6)) {
+      return {"error": "tone", "part": t.toString(10)};
+    }
+    
+    // Split into initial and final
+    if (!((/[aeiou]/).test(str))) {
+      m = str.match(/(m|ng)$/);
+      if (m == null) {
+        return {"error": "final", "part": str};
+      }
+      nt = str.slice(0, m.index);
+      f = str.slice(m.index);
+    } else {
+      fi = str.search(/[aeiouy]/);
+      nt = str.slice(0, fi);
+      f = str.slice(fi);
+    }
+    
+    // Make sure initial is allowed, if present
+    if (nt.length > 0) {
+      if (VALID_JYU_INITIALS.indexOf(":" + nt + ":") < 0) {
+        return {"error": "initial", "part": nt};
+      }
+    }
+    
+    // Make sure final is allowed
+    if (VALID_JYU_FINALS.indexOf(":" + f + ":") < 0) {
+      return {"error": "final", "part": f};
+    }
+    
+    // Return the split syllable
+    return {"nt": nt, "f": f, "t": t};
+  }
+  
+  /*
+   * Find all the Jyutping syllables in the Jyutping index that match a
+   * given pattern.
+   * 
+   * The pattern is a sequence of lowercase ASCII letters and wildcards,
+   * optionally followed by a tone number 1-6.  The wildcard "?" matches
+   * exactly one letter while the wildcard "*" matches any sequence of
+   * zero or more letters.  If the pattern does not end with a tone
+   * number, then syllables of any tone are matched.
+   * 
+   * The returned syllables are sorted so that all the tones of the same
+   * syllable are grouped together in ascending tone order.
+   * 
+   * The indices must first be built with buildIndices() before calling
+   * this function or a fault occurs.
+   * 
+   * Parameters:
+   * 
+   *   pat : string - the Jyutping pattern
+   * 
+   * Return:
+   * 
+   *   array of matching Jyutping syllable strings, which may be empty
+   */
+  function matchJyutping(pat) {
+    
+    var func_name = "matchJyutping";
+    var rx, t, k, ra;
+    
+    // Check state
+    if (!m_built) {
+      fault(func_name, 50);
+    }
+    
+    // Check parameter
+    if (typeof pat !== "string") {
+      fault(func_name, 100);
+    }
+    
+    // If pattern is not in the proper format, return no matches
+    if (!((/^[a-z?*]+[1-6]?$/).test(pat))) {
+      return [];
+    }
+    
+    // Split off the tone number if present, else match any tone
+    if ((/[1-6]$/).test(pat)) {
+      t = pat.slice(-1);
+      pat = pat.slice(0, -1);
+    } else {
+      t = "[1-6]";
+    }
+    
+    // Convert the pattern into a regular expression
+    pat = pat.replace(/\?/g, "[a-z]");
+    pat = pat.replace(/\*/g, "[a-z]*");
+    rx = new RegExp("^" + pat + t + "$");
+    
+    // Gather all matching syllables in the index
+    ra = [];
+    for(k in m_idx_jyu) {
+      if (rx.test(k)) {
+        ra.push(k);
+      }
+    }
+    
+    // Sort the syllables; since tone digits sort before letters, this
+    // groups all tones of a syllable together
+    ra.sort();
+    
+    // Return the matching syllables
+    return ra;
+  }
+  
+  /*
+   * Given an array of Jyutping syllables that are present in the
+   * Jyutping index, return an array of character groups in the format
+   * returned by charGroups(), with one group for each syllable.
+   * 
+   * Parameters:
+   * 
+   *   sa : array of strings - the Jyutping syllables
+   * 
+   * Return:
+   * 
+   *   array of character group objects
+   */
+  function sylGroups(sa) {
+    
+    var func_name = "sylGroups";
+    var i, ra;
+    
+    // Check parameter
+    if (!(sa instanceof Array)) {
+      fault(func_name, 100);
+    }
+    
+    // Build a group for each syllable, copying the codepoint arrays
+    ra = [];
+    for(i = 0; i < sa.length; i++) {
+      if (!(sa[i] in m_idx_jyu)) {
+        fault(func_name, 200);
+      }
+      ra.push({
+        "syl": sa[i],
+        "cpa": m_idx_jyu[sa[i]].map(x => x)
+      });
+    }
+    
+    // Return the groups
+    return ra;
+  }
+  
+  /*
+   * Compute the edit distance between two strings, which is the number
+   * of single-character insertions, deletions and substitutions needed
+   * to change one into the other.
+   * 
+   * Computing stops early once the distance is known to be more than
+   * the given maximum, in which case max + 1 is returned.
+   * 
+   * Parameters:
+   * 
+   *   a : string - the first string
+   * 
+   *   b : string - the second string
+   * 
+   *   max : number(int) - the largest distance of interest
+   * 
+   * Return:
+   * 
+   *   the edit distance, or max + 1 if it is more than max
+   */
+  function editDistance(a, b, max) {
+    
+    var func_name = "editDistance";
+    var pr, cr, i, j, lo;
+    
+    // Check parameters
+    if ((typeof a !== "string") || (typeof b !== "string") ||
+        (typeof max !== "number")) {
+      fault(func_name, 100);
+    }
+    
+    // The distance is at least the difference in length
+    if (Math.abs(a.length - b.length) > max) {
+      return max + 1;
+    }
+    
+    // Fill in the distance table one row at a time, keeping only the
+    // previous row
+    pr = [];
+    for(j = 0; j <= b.length; j++) {
+      pr.push(j);
+    }
+    for(i = 1; i <= a.length; i++) {
+      cr = [i];
+      lo = i;
+      for(j = 1; j <= b.length; j++) {
+        cr.push(Math.min(
+          pr[j] + 1,
+          cr[j - 1] + 1,
+          pr[j - 1] + ((a.charAt(i - 1) === b.charAt(j - 1)) ? 0 : 1)));
+        lo = Math.min(lo, cr[j]);
+      }
+      
+      // If the whole row is past the maximum, the distance is too
+      if (lo > max) {
+        return max + 1;
+      }
+      pr = cr;
+    }
+    
+    // Return the distance, capped
+    return Math.min(pr[b.length], max + 1);
+  }
+  
+  /*
+   * Find the syllables in the Jyutping index that are close to a
+   * character query that had no results.
+   * 
+   * The query is reduced to a Jyutping-like key: syllables with a tone
+   * number or a "j:" prefix are used as they are, Yale syllables are
+   * converted, and anything else has its diacritics removed and is
+   * compared without tones.  Syllables at edit distance 1 are
+   * suggested, or at distance 2 if there are none that close.  Closer
+   * syllables come first, and among those, syllables with more
+   * characters.  Tone-less suggestions have a "j:" prefix so that they
+   * are not read as Yale when queried.
+   * 
+   * Parameters:
+   * 
+   *   str : string - the character query
+   * 
+   * Return:
+   * 
+   *   array of suggested Jyutping syllables, which may be tone-less
+   */
+  function sylSuggestions(str) {
+    
+    var func_name = "sylSuggestions";
+    var k, ja, tl, syl, c, d, cm, sa, ra, i;
+    
+    // Check parameter
+    if (typeof str !== "string") {
+      fault(func_name, 100);
+    }
+    
+    // Get the key to compare against the index
+    str = str.trim().normalize("NFC");
+    if ((/^j:/i).test(str)) {
+      k = str.slice(2).trim().toLowerCase();
+    } else {
+      str = str.replace(/^y:/i, "");
+      if ((/[0-9]/).test(str)) {
+        k = str.toLowerCase();
+      } else {
+        ja = parseYale(str);
+        if (ja.length > 0) {
+          k = ja[0];
+        } else {
+          k = str.normalize("NFD").replace(/[\u0300-\u036f']/g, "");
+          k = k.toLowerCase();
+        }
+      }
+    }
+    if (!((/^[a-z]+[0-9]?$/).test(k))) {
+      return [];
+    }
+    tl = !((/[0-9]$/).test(k));
+    
+    // Compare against every syllable in the index, or every syllable
+    // with its tone dropped if the key has no tone; the map records the
+    // distance and the number of characters of each candidate
+    cm = Object.create(null);
+    for(syl in m_idx_jyu) {
+      c = tl ? syl.slice(0, -1) : syl;
+      if (c in cm) {
+        cm[c].n = cm[c].n + m_idx_jyu[syl].length;
+        continue;
+      }
+      d = editDistance(k, c, 2);
+      if ((d > 0) && (d <= 2)) {
+        cm[c] = {"d": d, "n": m_idx_jyu[syl].length};
+      }
+    }
+    
+    // Keep only the closest distance present
+    sa = Object.keys(cm);
+    d = 2;
+    for(i = 0; i < sa.length; i++) {
+      d = Math.min(d, cm[sa[i]].d);
+    }
+    sa = sa.filter(x => (cm[x].d === d));
+    
+    // Order by number of characters, then alphabetically
+    sa.sort(function(a, b) {
+      if (cm[a].n !== cm[b].n) {
+        return cm[b].n - cm[a].n;
+      }
+      return (a < b) ? -1 : ((a > b) ? 1 : 0);
+    });
+    
+    // Return the best suggestions, marking tone-less ones as Jyutping
+    ra = sa.slice(0, MAX_SUGGESTIONS);
+    if (tl) {
+      ra = ra.map(x => ("j:" + x));
+    }
+    return ra;
+  }
+  
+  /*
+   * Find the English tokens in the dictionary vocabulary that are close
+   * to a token that is not in it.
+   * 
+   * Tokens up to four letters long may be one edit away, and longer
+   * tokens two edits away.  Closer tokens come first, and among those,
+   * tokens that appear in more entries.
+   * 
+   * Parameters:
+   * 
+   *   t : string - the lowercase token
+   * 
+   * Return:
+   * 
+   *   array of close tokens, which may be empty
+   */
+  function tokenSuggestions(t) {
+    
+    var func_name = "tokenSuggestions";
+    var md, w, d, ra;
+    
+    // Check parameter
+    if (typeof t !== "string") {
+      fault(func_name, 100);
+    }
+    
+    // Find all the close tokens
+    md = (t.length <= 4) ? 1 : 2;
+    ra = [];
+    for(w in m_idx_eng) {
+      d = editDistance(t, w, md);
+      if (d <= md) {
+        ra.push({"w": w, "d": d});
+      }
+    }
+    
+    // Order by distance, then by number of entries
+    ra.sort(function(a, b) {
+      if (a.d !== b.d) {
+        return a.d - b.d;
+      }
+      return m_idx_eng[b.w].length - m_idx_eng[a.w].length;
+    });
+    
+    // Return the best tokens
+    return ra.slice(0, MAX_SUGGESTIONS).map(x => x.w);
+  }
+  
+  /*
+   * Find corrected versions of an English word query that had no
+   * results.
+   * 
+   * Each search term that is not in the vocabulary is replaced with a
+   * close token.  The suggestions try each of the close tokens of the
+   * first unknown term, with any other unknown terms replaced by their
+   * closest token.  If some unknown term has no close tokens, or all
+   * terms are known, there are no suggestions.
+   * 
+   * Parameters:
+   * 
+   *   str : string - the word query
+   * 
+   * Return:
+   * 
+   *   array of suggested query strings
+   */
+  function engSuggestions(str) {
+    
+    var func_name = "engSuggestions";
+    var qta, ta, fu, ra, i, j, q;
+    
+    // Check parameter
+    if (typeof str !== "string") {
+      fault(func_name, 100);
+    }
+    
+    // Split into search terms the same way as wordResults()
+    str = str.trim().toLowerCase();
+    if (!((/^[a-z \t]+$/).test(str))) {
+      return [];
+    }
+    qta = str.split(/\s+/);
+    
+    // Get the close tokens of each unknown term
+    ta = [];
+    fu = -1;
+    for(i = 0; i < qta.length; i++) {
+      if (qta[i] in m_idx_eng) {
+        ta.push(null);
+      } else {
+        ta.push(tokenSuggestions(qta[i]));
+        if (ta[i].length < 1) {
+          return [];
+        }
+        if (fu < 0) {
+          fu = i;
+        }
+      }
+    }
+    if (fu < 0) {
+      return [];
+    }
+    
+    // Build the suggested queries
+    ra = [];
+    for(i = 0; i < ta[fu].length; i++) {
+      q = [];
+      for(j = 0; j < qta.length; j++) {
+        if (j === fu) {
+          q.push(ta[j][i]);
+        } else if (ta[j] !== null) {
+          q.push(ta[j][0]);
+        } else {
+          q.push(qta[j]);
+        }
+      }
+      ra.push(q.join(" "));
+    }
+    return ra;
+  }
+  
+  /*
+   * Check whether a single token of a query is a Cantonese syllable.
+   * 
+   * The token is a syllable if charGroups() finds characters for it by
+   * reading, which means it is Jyutping with or without a tone, a
+   * Jyutping wildcard pattern, or Yale with diacritics or tone numbers.
+   * 
+   * Parameters:
+   * 
+   *   t : string - the token
+   * 
+   * Return:
+   * 
+   *   true if the token is a Cantonese syllable, false otherwise
+   */
+  function isCantoToken(t) {
+    
+    var func_name = "isCantoToken";
+    var ga;
+    
+    // Check parameter
+    if (typeof t !== "string") {
+      fault(func_name, 100);
+    }
+    
+    // Look up the token, which must only have groups from readings
+    ga = charGroups(t);
+    return ((ga.length > 0) && ga.every(x => (x.syl.length > 0)));
+  }
+  
+  /*
+   * Check whether a single token of a query is a Mandarin Pinyin
+   * syllable that appears in the dictionary.
+   * 
+   * Parameters:
+   * 
+   *   t : string - the token
+   * 
+   * Return:
+   * 
+   *   true if the token is a Pinyin syllable, false otherwise
+   */
+  function isPinyinToken(t) {
+    
+    var func_name = "isPinyinToken";
+    var r;
+    
+    // Check parameter
+    if (typeof t !== "string") {
+      fault(func_name, 100);
+    }
+    
+    // Normalize the syllable and look it up
+    r = normPinyin(t);
+    return ((r !== null) && (r.b in m_idx_pin));
+  }
+  
+  /*
+   * Make the detected query object for a Cantonese romanization.
+   * 
+   * A single syllable is looked up as a character query, while several
+   * syllables are looked up as a reading query.  If yale is true, each
+   * syllable is given the "y:" prefix so that it is always read as
+   * Yale.
+   * 
+   * Parameters:
+   * 
+   *   ta : array of strings - the syllables
+   * 
+   *   yale : boolean - true to force Yale
+   * 
+   * Return:
+   * 
+   *   the detected query object, as described for detectQuery()
+   */
+  function cantoQuery(ta, yale) {
+    
+    var func_name = "cantoQuery";
+    var k;
+    
+    // Check parameters
+    if ((!(ta instanceof Array)) || (typeof yale !== "boolean")) {
+      fault(func_name, 100);
+    }
+    
+    // Add prefixes for Yale
+    k = "jyu";
+    if (yale) {
+      ta = ta.map(x => ("y:" + x));
+      k = "yale";
+    }
+    
+    // Choose the query mode by the number of syllables
+    if (ta.length === 1) {
+      return {"kind": k, "mode": "chr", "q": ta[0]};
+    } else {
+      return {"kind": k, "mode": "jyu", "q": ta.join(" ")};
+    }
+  }
+  
+  /*
+   * Get the near-homophones of a Jyutping syllable, which are the
+   * syllables that differ from it only by a sound change that is common
+   * in Hong Kong speech.
+   * 
+   * The changes are n and l in the initial, ng and no initial, -ng and
+   * -n at the end of the final, and -k and -t at the end of the final.
+   * Each near-homophone has exactly one of these changes and the same
+   * tone.  Only syllables that are in the Jyutping index are returned.
+   * 
+   * Parameters:
+   * 
+   *   syl : string - the Jyutping syllable, with tone
+   * 
+   * Return:
+   * 
+   *   array of Jyutping syllables, which may be empty
+   */
+  function nearSyllables(syl) {
+    
+    var func_name = "nearSyllables";
+    var sp, na, fa, ra, i;
+    
+    // Check parameter
+    if (typeof syl !== "string") {
+      fault(func_name, 100);
+    }
+    
+    // Split the syllable
+    sp = splitJyutping(syl);
+    if ("error" in sp) {
+      return [];
+    }
+    
+    // Get the changed initials, unless the final is a syllabic nasal
+    na = [];
+    if ((/[aeiouy]/).test(sp.f)) {
+      if (sp.nt === "n") {
+        na.push("l");
+      } else if (sp.nt === "l") {
+        na.push("n");
+      } else if (sp.nt === "ng") {
+        na.push("");
+      } else if (sp.nt === "") {
+        na.push("ng");
+      }
+    }
+    
+    // Get the changed finals, again skipping syllabic nasals
+    fa = [];
+    if ((/[aeiouy]/).test(sp.f)) {
+      if ((/ng$/).test(sp.f)) {
+        fa.push(sp.f.slice(0, -2) + "n");
+      } else if ((/n$/).test(sp.f)) {
+        fa.push(sp.f + "g");
+      } else if ((/k$/).test(sp.f)) {
+        fa.push(sp.f.slice(0, -1) + "t");
+      } else if ((/t$/).test(sp.f)) {
+        fa.push(sp.f.slice(0, -1) + "k");
+      }
+    }
+    
+    // Build the syllables and keep those in the index
+    ra = [];
+    for(i = 0; i < na.length; i++) {
+      ra.push(na[i] + sp.f + sp.t.toString(10));
+    }
+    for(i = 0; i < fa.length; i++) {
+      ra.push(sp.nt + fa[i] + sp.t.toString(10));
+    }
+    return ra.filter(x => (x in m_idx_jyu));
+  }
+  
+  /*
+   * Get the frequency of a character according to the canto_freq
+   * global, or zero if it has no frequency data.
+   * 
+   * Parameters:
+   * 
+   *   cpv : number(int) - the codepoint of the character
+   * 
+   * Return:
+   * 
+   *   the frequency, which is zero or greater
+   */
+  function charFreq(cpv) {
+    
+    var func_name = "charFreq";
+    var k;
+    
+    // Check parameter
+    if (typeof cpv !== "number") {
+      fault(func_name, 100);
+    }
+    
+    // Look up the frequency
+    k = cpv.toString(16).toLowerCase();
+    if (k in canto_freq) {
+      return canto_freq[k];
+    }
+    return 0;
+  }
+  
+  /*
+   * Split a run of letters typed without spaces into tone-less
+   * Jyutping syllables, such as "neihou" into "nei" and "hou".
+   * 
+   * The split uses as few syllables as possible, where each syllable
+   * must be in the Jyutping index with some tone.  If the run cannot be
+   * split that way, null is returned.
+   * 
+   * Parameters:
+   * 
+   *   str : string - the lowercase letters
+   * 
+   * Return:
+   * 
+   *   array of tone-less syllables, or null
+   */
+  function splitRun(str) {
+    
+    var func_name = "splitRun";
+    var bs, k, best, i, j;
+    
+    // Check parameter
+    if (typeof str !== "string") {
+      fault(func_name, 100);
+    }
+    
+    // Get the set of tone-less syllables in the index
+    bs = Object.create(null);
+    for(k in m_idx_jyu) {
+      bs[k.slice(0, -1)] = true;
+    }
+    
+    // For each position, find the shortest split of the letters before
+    // it; best[i] is the array of syllables, or null if none
+    best = [[]];
+    for(i = 1; i <= str.length; i++) {
+      best.push(null);
+      for(j = Math.max(0, i - 6); j < i; j++) {
+        if ((best[j] !== null) && (str.slice(j, i) in bs)) {
+          if ((best[i] === null) ||
+              (best[j].length + 1 < best[i].length)) {
+            best[i] = best[j].concat([str.slice(j, i)]);
+          }
+        }
+      }
+    }
+    
+    // Return the split of the whole run
+    return best[str.length];
+  }
+  
+  /*
+   * Get the character query for a syllable typed into an input method.
+   * 
+   * The input method is for Jyutping first, so plain letters that
+   * match the Jyutping index when the tone is ignored get a "j:"
+   * prefix, and are not read as Yale by charGroups().  Any other
+   * syllable is returned as it is.
+   * 
+   * The indices must first be built with buildIndices() before calling
+   * this function or a fault occurs.
+   * 
+   * Parameters:
+   * 
+   *   syl : string - the lowercase syllable
+   * 
+   * Return:
+   * 
+   *   the query for the syllable
+   */
+  function imeReading(syl) {
+    
+    var func_name = "imeReading";
+    
+    // Check parameter
+    if (typeof syl !== "string") {
+      fault(func_name, 100);
+    }
+    
+    // Mark tone-less Jyutping
+    if ((/^[a-z]+$/).test(syl) && (matchJyutping(syl).length > 0)) {
+      return "j:" + syl;
+    }
+    return syl;
+  }
+  
+  /*
+   * Split what was typed into an input method into syllables.
+   * 
+   * Syllables may be separated by whitespace or apostrophes, and a tone
+   * number also ends a syllable.  A run of letters that is not a single
+   * syllable is split with splitRun() if possible, with any tone number
+   * going to the last syllable.  Everything is made lowercase.
+   * 
+   * Parameters:
+   * 
+   *   str : string - the typed input
+   * 
+   * Return:
+   * 
+   *   array of syllables, which may be empty
+   */
+  function imeSyllables(str) {
+    
+    var func_name = "imeSyllables";
+    var ta, sa, ra, t, i;
+    
+    // Check parameter
+    if (typeof str !== "string") {
+      fault(func_name, 100);
+    }
+    
+    // Split on separators and after tone numbers
+    str = str.toLowerCase().replace(/([1-6])(?=[a-z])/g, "$1 ");
+    str = str.replace(/[\s'\u2019]+/g, " ").trim();
+    if (str.length < 1) {
+      return [];
+    }
+    ta = str.split(" ");
+    
+    // Split the runs of letters that are not single syllables
+    ra = [];
+    for(i = 0; i < ta.length; i++) {
+      if ((/^[a-z]+[1-6]?$/).test(ta[i]) &&
+          (!charGroups(imeReading(ta[i])).some(
+            x => (x.syl.length > 0)))) {
+        t = ta[i].replace(/^[a-z]+/, "");
+        sa = splitRun(ta[i].replace(/[1-6]$/, ""));
+        if (sa !== null) {
+          sa[sa.length - 1] = sa[sa.length - 1] + t;
+          ra = ra.concat(sa);
+          continue;
+        }
+      }
+      ra.push(ta[i]);
+    }
+    
+    // Return the syllables
+    return ra;
+  }
+  
+  /*
+   * Find all the headwords in the dictionary that the text continues
+   * with at a given position, using the headword trie.
+   * 
+   * The return value is an array of matches from shortest to longest.
+   * Each match is an object with an "n" property that is the length of
+   * the headword in codepoints and a "wid" property that is the index
+   * in canto_words of the first dictionary entry with that headword.
+   * 
+   * Parameters:
+   * 
+   *   ca : array of string - the codepoints of the text
+   * 
+   *   i : number(int) - the index in ca to match at
+   * 
+   * Return:
+   * 
+   *   array of matches, which may be empty
+   */
+  function trieMatches(ca, i) {
+    
+    var func_name = "trieMatches";
+    var nd, ra, j;
+    
+    // Check parameters
+    if ((!Array.isArray(ca)) || (typeof i !== "number")) {
+      fault(func_name, 100);
+    }
+    
+    // Walk down the trie along the text
+    ra = [];
+    nd = m_trie;
+    for(j = i; j < ca.length; j++) {
+      if (!(ca[j] in nd.next)) {
+        break;
+      }
+      nd = nd.next[ca[j]];
+      if (nd.wid.length > 0) {
+        ra.push({"n": j - i + 1, "wid": nd.wid[0]});
+      }
+    }
+    
+    // Return the matches
+    return ra;
+  }
+  
+  /*
+   * Get the cost of a segment in the best-path model of segment().
+   * 
+   * The cost is SEG_COST plus the negative base-10 logarithm of the
+   * relative frequency of the segment, which is taken from the lowest
+   * character frequency in it, with one added to every frequency so
+   * that none is zero.  SEG_UNKNOWN is also added if the segment is not
+   * a headword.  Without frequency data, every segment costs the same.
+   * 
+   * Parameters:
+   * 
+   *   ca : array of string - the codepoints of the segment
+   * 
+   *   known : boolean - true if the segment is a headword
+   * 
+   * Return:
+   * 
+   *   the cost, which is greater than zero
+   */
+  function segmentCost(ca, known) {
+    
+    var func_name = "segmentCost";
+    var f, c, i;
+    
+    // Check parameters
+    if ((!Array.isArray(ca)) || (typeof known !== "boolean")) {
+      fault(func_name, 100);
+    }
+    
+    // Get the lowest character frequency
+    f = m_freq_max;
+    for(i = 0; i < ca.length; i++) {
+      f = Math.min(f, charFreq(ca[i].codePointAt(0)));
+    }
+    
+    // Compute the cost
+    c = SEG_COST + Math.log10((m_freq_max + 1) / (f + 1));
+    if (!known) {
+      c = c + SEG_UNKNOWN;
+    }
+    return c;
+  }
+  
+  /*
+   * Public functions
+   * ================
+   */
+  
+  /*
+   * Given user input typed into the search box for a word query, return
+   * an array containing indices into the dictionary for every matching
+   * word result.
+   * 
+   * The returned indices are into the array canto_words.  There is no
+   * limit on the number of returned results.  Use wordPage() to get
+   * just a portion of the results.
+   * 
+   * Each whitespace-separated term in the query must appear as a whole
+   * word somewhere in the definitions of a matching entry.  The
+   * returned indices are sorted by descending relevance.  See the
+   * SCORE_ constants for how relevance is computed.  See wordResults()
+   * for the other query syntax.
+   * 
+   * Words are matched by their stems, so that inflected forms match,
+   * unless the optional exact parameter is true.
+   * 
+   * If the query contains Han characters, it instead matches the
+   * traditional or simplified headwords of entries.  An exact match is
+   * required unless the query has a "*" wildcard at the start or end,
+   * for prefix, suffix and contains matches.  See headwordResults() for
+   * the details.
+   * 
+   * The indices must first be built with buildIndices() before calling
+   * this function or a fault occurs.
+   * 
+   * Parameters:
+   * 
+   *   str : string - the word query string
+   *
+   *   exact : boolean - (optional) true to match words exactly, false
+   *   or undefined to match by stem
+   * 
+   * Return:
+   * 
+   *   array containing all matching dictionary indices
+   */
+  function wordQuery(str, exact) {
+    
+    var func_name = "wordQuery";
+    
+    // Check parameters
+    if (typeof str !== "string") {
+      fault(func_name, 100);
+    }
+    if (exact === undefined) {
+      exact = false;
+    }
+    if (typeof exact !== "boolean") {
+      fault(func_name, 110);
+    }
+    
+    // Run the query and return just the indices
+    return wordResults(str, exact).map(x => x.wid);
+  }
+  
+  /*
+   * Given user input typed into the search box for a reading query,
+   * return an array containing indices into the dictionary for every
+   * dictionary entry whose headword is pronounced that way.
+   * 
+   * The query is a sequence of Jyutping or Yale syllables, such as
+   * "gau2 zai2" or "gau zai" without tones.  See readingResults() for
+   * the details.  The returned indices are into the array canto_words,
+   * sorted by descending relevance.
+   * 
+   * The indices must first be built with buildIndices() before calling
+   * this function or a fault occurs.
+   * 
+   * Parameters:
+   * 
+   *   str : string - the reading query string
+   * 
+   * Return:
+   * 
+   *   array containing all matching dictionary indices
+   */
+  function readingQuery(str) {
+    
+    var func_name = "readingQuery";
+    
+    // Check parameter
+    if (typeof str !== "string") {
+      fault(func_name, 100);
+    }
+    
+    // Run the query and return just the indices
+    return readingResults(str).map(x => x.wid);
+  }
+  
+  /*
+   * Given user input typed into the search box for a Pinyin query,
+   * return an array containing indices into the dictionary for every
+   * dictionary entry with that Mandarin Pinyin reading.
+   * 
+   * The query is a sequence of Pinyin syllables, such as "gou3 zai3",
+   * "gou zai" without tones, or "gǒu zǎi" with diacritics.  U-umlaut
+   * may be written as "u:", "v" or "ü".  See pinyinResults() for the
+   * details.  The returned indices are into the array canto_words,
+   * sorted by descending relevance.
+   * 
+   * The indices must first be built with buildIndices() before calling
+   * this function or a fault occurs.
+   * 
+   * Parameters:
+   * 
+   *   str : string - the Pinyin query string
+   * 
+   * Return:
+   * 
+   *   array containing all matching dictionary indices
+   */
+  function pinyinQuery(str) {
+    
+    var func_name = "pinyinQuery";
+    
+    // Check parameter
+    if (typeof str !== "string") {
+      fault(func_name, 100);
+    }
+    
+    // Run the query and return just the indices
+    return pinyinResults(str).map(x => x.wid);
+  }
+  
+  /*
+   * Return an array containing indices into the dictionary for every
+   * dictionary entry whose traditional or simplified headword contains
+   * the given character.
+   * 
+   * The returned indices are into the array canto_words, sorted by the
+   * length of the headword and then by descending relevance.  See
+   * charWordResults() for the details.
+   * 
+   * The indices must first be built with buildIndices() before calling
+   * this function or a fault occurs.
+   * 
+   * Parameters:
+   * 
+   *   cpv : number(int) - the codepoint of the character
+   * 
+   * Return:
+   * 
+   *   array containing all matching dictionary indices
+   */
+  function charWords(cpv) {
+    
+    var func_name = "charWords";
+    
+    // Check parameter
+    if (typeof cpv !== "number") {
+      fault(func_name, 100);
+    }
+    cpv = Math.floor(cpv);
+    
+    // No results if not a valid codepoint
+    if ((cpv < 0) || (cpv > 0x10ffff) ||
+        ((cpv >= 0xd800) && (cpv <= 0xdfff))) {
+      return [];
+    }
+    
+    // Run the query and return just the indices
+    return charWordResults(String.fromCodePoint(cpv)).map(x => x.wid);
+  }
+  
+  /*
+   * Given user input typed into the search box for a word query, return
+   * a single page of the matching word results.
+   * 
+   * The mode selects the kind of query.  It is "eng" for an English
+   * query as in wordQuery(), "engx" for an English query with exact
+   * word matching, "jyu" for a Cantonese reading query as in
+   * readingQuery(), "pin" for a Pinyin query as in pinyinQuery() or
+   * "chw" for the words that use a character as in charWords().
+   * 
+   * The return value is an object with the following properties:
+   * 
+   *   "total" - the total number of matching results across all pages
+   * 
+   *   "offset" - the index of the first result on this page within the
+   *              full result list
+   * 
+   *   "limit" - the maximum number of results on a page
+   * 
+   *   "wids" - array of indices into canto_words for the results on
+   *            this page, in the order of the query
+   * 
+   *   "scores" - array of relevance scores, parallel to "wids"
+   * 
+   * The offset is clamped so that it is within the full result list,
+   * and the limit is clamped to the range 1 to MAX_DICT_RESULTS.  The
+   * full result list of the most recent query is cached, so requesting
+   * other pages of the same query does not repeat the search.
+   * 
+   * The indices must first be built with buildIndices() before calling
+   * this function or a fault occurs.
+   * 
+   * Parameters:
+   * 
+   *   str : string - the word query string
+   * 
+   *   mode : string - the query mode
+   * 
+   *   offset : number(int) - the index of the first result to return
+   * 
+   *   limit : number(int) - the maximum number of results to return
+   * 
+   * Return:
+   * 
+   *   the page object
+   */
+  function wordPage(str, mode, offset, limit) {
+    
+    var func_name = "wordPage";
+    var ra, k;
+    
+    // Check parameters
+    if ((typeof str !== "string") || (typeof mode !== "string")) {
+      fault(func_name, 100);
+    }
+    if ((typeof offset !== "number") || (typeof limit !== "number")) {
+      fault(func_name, 110);
+    }
+    if ((!isFinite(offset)) || (!isFinite(limit))) {
+      fault(func_name, 120);
+    }
+    offset = Math.floor(offset);
+    limit = Math.floor(limit);
+    
+    // Clamp the limit
+    if (limit < 1) {
+      limit = 1;
+    } else if (limit > MAX_DICT_RESULTS) {
+      limit = MAX_DICT_RESULTS;
+    }
+    
+    // Run the query unless it is the same as the cached query
+    k = mode + ":" + str;
+    if (m_wq_key !== k) {
+      m_wq_res = modeResults(str, mode);
+      m_wq_key = k;
+    }
+    ra = m_wq_res;
+    
+    // Clamp the offset so it is on the last page or earlier
+    if (offset > ra.length - 1) {
+      offset = ra.length - 1;
+    }
+    if (offset < 0) {
+      offset = 0;
+    }
+    
+    // Get the results on the page
+    ra = ra.slice(offset, offset + limit);
+    
+    // Return the page
+    return {
+      "total": m_wq_res.length,
+      "offset": offset,
+      "limit": limit,
+      "wids": ra.map(x => x.wid),
+      "scores": ra.map(x => x.score)
+    };
+  }
+  
+  /*
+   * Given user input typed into the search box for a character query,
+   * return an array of character groups to display.
+   * 
+   * Each character group is an object with the following properties:
+   * 
+   *   "syl" - the Jyutping syllable that all the characters in the
+   *           group share, or an empty string if the group did not come
+   *           from a reading lookup
+   * 
+   *   "cpa" - array of integer codepoints in the group, in the proper
+   *           order
+   * 
+   * If the query is a string of characters that are not romanizations,
+   * such as pasted Chinese text, there is a separate group for each
+   * character in the order they appear, including repeated characters.
+   * Whitespace between the characters is ignored.
+   * 
+   * Jyutping queries may omit the tone number, in which case there is
+   * a separate group for each tone of the syllable.  Jyutping queries
+   * may also use the wildcards "?" (exactly one letter) and "*" (zero
+   * or more letters), in which case there is a separate group for each
+   * matching syllable.  Wildcard queries must contain at least one
+   * letter, or nothing matches.
+   * 
+   * A query consisting only of ASCII letters is Yale without
+   * diacritics if it reads as any syllable in the index that way, so
+   * "gau" is Jyutping gau3.  Otherwise, it is treated as a tone-less
+   * Jyutping query.  A "j:" prefix forces the query to be handled as
+   * Jyutping, so "j:gau" has a group for each tone of gau.
+   * 
+   * Yale may also be given with a tone number instead of diacritics,
+   * such as "yau4".  This numeric Yale is used when a query with a tone
+   * number is not a Jyutping syllable in the index.  A "y:" prefix
+   * forces the query to be handled as Yale, either numeric or with
+   * diacritics.
+   * 
+   * The "cp:" prefix marks a Guangdong Cantonese Pinyin syllable and
+   * the "sl:" prefix marks a Sidney Lau syllable.  See
+   * foreignToJyutping() for the details.
+   * 
+   * The returned array may be empty if nothing matches.
+   * 
+   * The indices must first be built with buildIndices() before calling
+   * this function or a fault occurs.
+   *
+   * Parameters:
+   *
+   *   str : string - the character query string
+   *
+   * Return:
+   *
+   *   array containing all matching character groups
+   */
+  function charGroups(str) {
+    
+    var func_name = "charGroups";
+    var c, i, yale;
+    var sa;
+    var ra;
+    
+    // Check state
+    if (!m_built) {
+      fault(func_name, 50);
+    }
+    
+    // Check parameter
+    if (typeof str !== "string") {
+      fault(func_name, 100);
+    }
+    
+    // First of all, trim leading and trailing whitespace and normalize
+    // to NFC
+    str = str.trim().normalize("NFC");
+    
+    // Handle the "cp:" and "sl:" prefixes that mark Cantonese Pinyin
+    // and Sidney Lau romanizations; a syllable without a tone matches
+    // all tones
+    if ((/^(cp|sl):/i).test(str)) {
+      ra = foreignToJyutping(str.slice(3),
+                              str.slice(0, 2).toLowerCase());
+      for(i = 0; i < ra.length; i++) {
+        if ((/[1-6]$/).test(ra[i])) {
+          ra[i] = sylGroups((ra[i] in m_idx_jyu) ? [ra[i]] : []);
+        } else {
+          ra[i] = sylGroups(matchJyutping(ra[i]));
+        }
+      }
+      return [].concat.apply([], ra);
+    }
+    
+    // Handle the "j:" prefix that marks explicit Jyutping, which may be
+    // tone-less or a wildcard pattern
+    if ((/^j:/i).test(str)) {
+      str = str.slice(2).trim().toLowerCase();
+      if ((/^[a-z]+[1-6]$/).test(str)) {
+        return sylGroups((str in m_idx_jyu) ? [str] : []);
+      } else if ((/^[a-z?*]+[1-6]?$/).test(str) &&
+                 (/[a-z]/).test(str)) {
+        return sylGroups(matchJyutping(str));
+      } else {
+        return [];
+      }
+    }
+    
+    // Handle the "y:" prefix that marks explicit Yale; if what follows
+    // has a tone number, it is numeric Yale, else it is handled as Yale
+    // with diacritics below, skipping the Jyutping checks
+    yale = false;
+    if ((/^y:/i).test(str)) {
+      str = str.slice(2).trim();
+      if ((/[0-9]/).test(str)) {
+        return numYaleGroups(str);
+      }
+      yale = true;
+    }
+    
+    // If string is empty after trimming, return empty array
+    if (str.length < 1) {
+      return [];
+    }
+    
+    // Check whether this string, ignoring whitespace, consists only of
+    // codepoints above U+007F AND the NFD decomposition of each
+    // codepoint does not begin with a Latin letter; if this is the
+    // case, return a group for each codepoint in order, so that pasted
+    // text has each of its characters looked up
+    sa = Array.from(str.replace(/\s+/g, ""));
+    for(i = 0; i < sa.length; i++) {
+      c = sa[i].codePointAt(0);
+      if (c <= 0x7f) {
+        break;
+      }
+      c = sa[i].normalize("NFD").charCodeAt(0);
+      if (((c >= 0x41) && (c <= 0x5a)) ||
+          ((c >= 0x61) && (c <= 0x7a))) {
+        break;
+      }
+    }
+    if (i >= sa.length) {
+      return sa.map(x => ({"syl": "", "cpa": [x.codePointAt(0)]}));
+    }
+    
+    // Handle Unicode literal
+    if ((/^u[0-9a-f]{4,6}$/i).test(str)) {
+      // We have a literal string, so begin by dropping the leading "u"
+      // character
+      str = str.slice(1);
+      
+      // Get the integer value of the base-16 number
+      c = parseInt(str, 16);
+      
+      // Return just that value if it is in Unicode range, beyond ASCII
+      // range, and not a surrogate, else return empty array
+      if ((c > 0x7f) && (c <= 0x10ffff) && 
+            ((c < 0xd800) || (c > 0xdfff))) {
+        return [{"syl": "", "cpa": [c]}];
+        
+      } else {
+        return [];
+      }
+    }
+    
+    // Otherwise, if there is a decimal integer or a wildcard somewhere
+    // in the value, handle Jyutping
+    if ((!yale) && ((/[0-9?*]/).test(str))) {
+      
+      // Make lowercase
+      str = str.toLowerCase();
+      
+      // If format basically correct, look up; else, return nothing; if
+      // the syllable is not in the index, it might be numeric Yale, so
+      // try that as a fallback
+      if ((/^[a-z]+[1-6]$/).test(str)) {
+        if (str in m_idx_jyu) {
+          // Return group with copy of codepoint array
+          return sylGroups([str]);
+        } else {
+          return numYaleGroups(str);
+        }
+        
+      } else if ((/^[a-z?*]+[1-6]?$/).test(str) &&
+                 (/[a-z]/).test(str)) {
+        // Wildcard pattern with at least one letter, so return a group
+        // for each match; patterns without letters would match nearly
+        // every syllable
+        return sylGroups(matchJyutping(str));
+        
+      } else {
+        return [];
+      }
+    }
+    
+    // If we got here, we should assume Yale; if the string is only
+    // ASCII letters and is not Yale for any syllable in the index,
+    // handle it as tone-less Jyutping instead
+    ra = parseYale(str).filter(x => (x in m_idx_jyu));
+    if ((ra.length < 1) && (!yale) && ((/^[A-Za-z]+$/).test(str))) {
+      ra = matchJyutping(str.toLowerCase());
+    }
+    return sylGroups(ra);
+  }
+  
+  /*
+   * Find the homophones of a character or a Cantonese reading.
+   * 
+   * The query is anything accepted by charGroups().  If it gives
+   * groups for readings, such as a Jyutping or Yale syllable, those
+   * readings are used.  Otherwise, it should be a single character, and
+   * all the readings of that character are used, and the character
+   * itself is left out of the results.
+   * 
+   * The return value is an array of character groups in the format of
+   * charGroups(), each with an extra "rel" property that gives how the
+   * syllable of the group relates to the readings:
+   * 
+   *   "same" - the identical reading
+   *   "tone" - the same syllable with another tone
+   *   "near" - a near-homophone, as described for nearSyllables()
+   * 
+   * The groups are in that order, and near-homophones are only included
+   * if near is true.  Each syllable appears at most once.  Groups that
+   * have no characters left after removing the query character are
+   * dropped.
+   * 
+   * The indices must first be built with buildIndices() before calling
+   * this function or a fault occurs.
+   * 
+   * Parameters:
+   * 
+   *   str : string - the character or reading
+   * 
+   *   near : boolean - true to include near-homophones
+   * 
+   * Return:
+   * 
+   *   array of character groups, which may be empty
+   */
+  function homophones(str, near) {
+    
+    var func_name = "homophones";
+    var ga, ca, ra, seen, cpv, ci, rsa, sa, i, j, t, k;
+    
+    // Check state
+    if (!m_built) {
+      fault(func_name, 50);
+    }
+    
+    // Check parameters
+    if ((typeof str !== "string") || (typeof near !== "boolean")) {
+      fault(func_name, 100);
+    }
+    
+    // Get the readings; a valid Jyutping syllable is used even if no
+    // character has that reading, else the readings come from the query
+    // groups or from the readings of a single character
+    str = str.trim().toLowerCase();
+    ga = charGroups(str);
+    cpv = -1;
+    rsa = [];
+    if ((/^[a-z]+[1-6]$/).test(str) &&
+        (!("error" in splitJyutping(str)))) {
+      rsa = [str];
+    } else if ((ga.length === 1) && (ga[0].syl.length < 1) &&
+        (ga[0].cpa.length === 1)) {
+      cpv = ga[0].cpa[0];
+      ci = seekCode(cpv);
+      if (ci >= 0) {
+        rsa = canto_chars[ci].crd.filter(x => (x in m_idx_jyu));
+      }
+    } else {
+      rsa = ga.map(x => x.syl).filter(x => (x.length > 0));
+    }
+    
+    // List the syllables of each kind, in order
+    ca = [];
+    for(i = 0; i < rsa.length; i++) {
+      ca.push({"syl": rsa[i], "rel": "same"});
+    }
+    for(i = 0; i < rsa.length; i++) {
+      k = rsa[i].slice(0, -1);
+      for(t = 1; t <= 6; t++) {
+        ca.push({"syl": k + t.toString(10), "rel": "tone"});
+      }
+    }
+    if (near) {
+      for(i = 0; i < rsa.length; i++) {
+        sa = nearSyllables(rsa[i]);
+        for(j = 0; j < sa.length; j++) {
+          ca.push({"syl": sa[j], "rel": "near"});
+        }
+      }
+    }
+    
+    // Build a group for each syllable in the index, skipping syllables
+    // that already have a group
+    ra = [];
+    seen = Object.create(null);
+    for(i = 0; i < ca.length; i++) {
+      if ((!(ca[i].syl in m_idx_jyu)) || (ca[i].syl in seen)) {
+        continue;
+      }
+      seen[ca[i].syl] = true;
+      ra.push({
+        "syl": ca[i].syl,
+        "cpa": m_idx_jyu[ca[i].syl].filter(x => (x !== cpv)),
+        "rel": ca[i].rel
+      });
+    }
+    
+    // Drop empty groups
+    return ra.filter(x => (x.cpa.length > 0));
+  }
+  
+  /*
+   * Given user input typed into the search box for a character query,
+   * return an array containing integer values of all character
+   * codepoints to display.
+   * 
+   * This is a flattened version of charGroups().  The codepoints in the
+   * array are in the proper order, and each codepoint only appears once
+   * even if it is in multiple groups.  The returned array may be empty
+   * if nothing matches.
+   * 
+   * The indices must first be built with buildIndices() before calling
+   * this function or a fault occurs.
+   *
+   * Parameters:
+   *
+   *   str : string - the character query string
+   *
+   * Return:
+   *
+   *   array containing all matching codepoints as integer values
+   */
+  function charQuery(str) {
+    
+    var func_name = "charQuery";
+    var ga, ra, seen, i, j, c;
+    
+    // Check parameter
+    if (typeof str !== "string") {
+      fault(func_name, 100);
+    }
+    
+    // Get the character groups
+    ga = charGroups(str);
+    
+    // Flatten the groups, dropping any duplicate codepoints
+    ra = [];
+    seen = {};
+    for(i = 0; i < ga.length; i++) {
+      for(j = 0; j < ga[i].cpa.length; j++) {
+        c = ga[i].cpa[j];
+        if (!(c in seen)) {
+          seen[c] = true;
+          ra.push(c);
+        }
+      }
+    }
+    
+    // Return the flattened codepoints
+    return ra;
+  }
+  
+  /*
+   * Convert a Jyutping syllable into Yale romanization with diacritics.
+   * 
+   * This is the reverse of the Yale conversion in charGroups().  Tone 1
+   * is written with a macron, tone 2 with an acute accent, tone 3 with
+   * no mark, tone 4 with a grave accent, tone 5 with an acute accent
+   * and tone 6 with no mark.  Tones 4-6 also have the low-tone marker
+   * "h" inserted after the last vowel.  The diacritic goes on the first
+   * vowel that is not "y", or on the "m" or "g" of a syllabic nasal.
+   * 
+   * For example, "gau2" becomes "gáu", "jyu4" becomes "yùh" and "ng5"
+   * becomes "nǵh" with the acute accent on the "g".
+   * 
+   * The result is normalized to NFC.  If the given string is not a
+   * well-formed Jyutping syllable with a recognized initial and a tone
+   * number, null is returned.
+   * 
+   * Parameters:
+   * 
+   *   str : string - the Jyutping syllable
+   * 
+   * Return:
+   * 
+   *   the Yale romanization, or null
+   */
+  function jyutpingToYale(str) {
+    
+    var func_name = "jyutpingToYale";
+    var t, nt, f, m, fi, li, d;
+    
+    // Check parameter
+    if (typeof str !== "string") {
+      fault(func_name, 100);
+    }
+    
+    // Split the syllable
+    m = splitJyutping(str);
+    if ("error" in m) {
+      return null;
+    }
+    nt = m.nt;
+    f = m.f;
+    t = m.t;
+    
+    // Transform initial to Yale; a "j" initial before a "yu" final is
+    // dropped because Yale writes the "y" only once
+    if ((nt === "j") && ((/^yu/).test(f))) {
+      nt = "";
+    } else if (nt === "j") {
+      nt = "y";
+    } else if (nt === "z") {
+      nt = "j";
+    } else if (nt === "c") {
+      nt = "ch";
+    }
+    
+    // Transform final to Yale
+    if (f === "aa") {
+      f = "a";
+    } else if ((/^(oe|eo)/).test(f)) {
+      f = "eu" + f.slice(2);
+    }
+    
+    // Choose the diacritic for the tone
+    if (t === 1) {
+      d = "\u0304";
+    } else if ((t === 2) || (t === 5)) {
+      d = "\u0301";
+    } else if (t === 4) {
+      d = "\u0300";
+    } else {
+      d = "";
+    }
+    
+    // Find the letter that carries the diacritic and the position after
+    // which the low-tone marker goes
+    if (!((/[aeiou]/).test(f))) {
+      // Syllabic nasal, so the last letter carries the diacritic and
+      // the marker goes at the end
+      fi = f.length - 1;
+      li = f.length - 1;
+    } else {
+      fi = f.search(/[aeiou]/);
+      li = f.length - 1;
+      while (!((/[aeiou]/).test(f.charAt(li)))) {
+        li--;
+      }
+    }
+    
+    // Insert the low-tone marker first, since it comes after the
+    // diacritic position
+    if (t >= 4) {
+      f = f.slice(0, li + 1) + "h" + f.slice(li + 1);
+    }
+    
+    // Insert the diacritic
+    f = f.slice(0, fi + 1) + d + f.slice(fi + 1);
+    
+    // Return the NFC normalized Yale
+    return (nt + f).normalize("NFC");
+  }
+  
+  /*
+   * Convert a Jyutping syllable to broad IPA with Chao tone letters.
+   * 
+   * The syllable must have a tone number.  Unreleased final stops are
+   * written without a diacritic.  Syllabic nasals are marked with the
+   * syllabic diacritic.
+   * 
+   * Parameters:
+   * 
+   *   str : string - the Jyutping syllable
+   * 
+   * Return:
+   * 
+   *   the IPA string, or null if the syllable is not valid Jyutping
+   */
+  function jyutpingToIPA(str) {
+    
+    var func_name = "jyutpingToIPA";
+    var sp;
+    
+    // Check parameter
+    if (typeof str !== "string") {
+      fault(func_name, 100);
+    }
+    
+    // Split the syllable and check the final
+    sp = splitJyutping(str);
+    if ("error" in sp) {
+      return null;
+    }
+    
+    // Build the IPA
+    if (sp.nt.length > 0) {
+      sp.nt = IPA_INITIALS[sp.nt];
+    }
+    return sp.nt + IPA_FINALS[sp.f] + IPA_TONES[sp.t - 1];
+  }
+  
+  /*
+   * Finish parsing a syllable in one of the Yale formats for
+   * parseSyllable().
+   * 
+   * Parameters:
+   * 
+   *   sp : object - the result of splitYale() or splitNumYale()
+   * 
+   *   sys : string - the system name to report
+   * 
+   * Return:
+   * 
+   *   the parseSyllable() result
+   */
+  function yaleSyllable(sp, sys) {
+    
+    var func_name = "yaleSyllable";
+    var ja, jyu, i;
+    
+    // Check parameters
+    if ((typeof sp !== "object") || (typeof sys !== "string")) {
+      fault(func_name, 100);
+    }
+    
+    // Pass errors through with the system name
+    if ("error" in sp) {
+      return {"error": sp.error, "part": sp.part, "system": sys};
+    }
+    
+    // Convert to Jyutping, keeping only the valid syllables; if none
+    // are left, the final must be wrong since the initial and tone were
+    // already checked
+    ja = yaleToJyutping(sp.nt, sp.f, sp.t).filter(
+      x => !("error" in splitJyutping(x)));
+    if (ja.length < 1) {
+      return {"error": "final", "part": sp.f, "system": sys};
+    }
+    
+    // Prefer a syllable that is in the index
+    jyu = ja[0];
+    for(i = 0; i < ja.length; i++) {
+      if (ja[i] in m_idx_jyu) {
+        jyu = ja[i];
+        break;
+      }
+    }
+    
+    // Return the parsed syllable
+    sp = splitJyutping(jyu);
+    return {
+      "initial": sp.nt,
+      "final": sp.f,
+      "tone": sp.t,
+      "system": sys
+    };
+  }
+  
+  /*
+   * Convert a block of romanized Cantonese from one romanization system
+   * to another.
+   * 
+   * The systems are "jyu" for Jyutping, "yale" for Yale with
+   * diacritics, "ynum" for numeric Yale, and "yapos" for Yale with the
+   * apostrophe escapes.  Yale input is normalized in the same way as
+   * character queries, so circumflexes may be used for macrons and
+   * curly quotes for apostrophes.
+   * 
+   * Syllables are runs of letters, which for Jyutping and numeric Yale
+   * end after the tone number, so joined syllables such as "nei5hou2"
+   * are split.  For apostrophe Yale, apostrophes are part of syllables.
+   * Everything else is kept as it is.  A syllable that begins with a
+   * capital letter has its conversion capitalized.
+   * 
+   * When a Yale syllable could be more than one Jyutping syllable, the
+   * one that is in the Jyutping index is preferred.
+   * 
+   * The return value is an array of pieces in the same order as the
+   * input.  Each piece is an object with property "t" that is the
+   * original text and property "c" that is the converted text.  For
+   * text between syllables, "c" is the same as "t".  For syllables that
+   * are not valid in the source system, "c" is null.
+   * 
+   * The indices must first be built with buildIndices() before calling
+   * this function or a fault occurs.
+   * 
+   * Parameters:
+   * 
+   *   str : string - the text to convert
+   * 
+   *   src : string - the romanization system of the text
+   * 
+   *   dst : string - the romanization system to convert to
+   * 
+   * Return:
+   * 
+   *   array of converted pieces
+   */
+  function convertRoman(str, src, dst) {
+    
+    var func_name = "convertRoman";
+    var rx, m, li, ra, ja, sp, i, jyu, c;
+    
+    // Check state
+    if (!m_built) {
+      fault(func_name, 50);
+    }
+    
+    // Check parameters
+    if ((typeof str !== "string") || (typeof src !== "string") ||
+        (typeof dst !== "string")) {
+      fault(func_name, 100);
+    }
+    if ((src !== "jyu") && (src !== "yale") && (src !== "ynum") &&
+        (src !== "yapos")) {
+      fault(func_name, 110);
+    }
+    if ((dst !== "jyu") && (dst !== "yale") && (dst !== "ynum") &&
+        (dst !== "yapos")) {
+      fault(func_name, 120);
+    }
+    
+    // Normalize to NFC so that precomposed and combining diacritics
+    // are both counted as letters below
+    str = str.normalize("NFC");
+    
+    // Get the pattern that matches syllables in the source system
+    if ((src === "jyu") || (src === "ynum")) {
+      rx = /[\p{L}\p{M}]+[0-9]*/gu;
+    } else if (src === "yale") {
+      rx = /[\p{L}\p{M}]+/gu;
+    } else {
+      rx = /['\u2018\u2019]*[\p{L}\p{M}][\p{L}\p{M}'\u2018\u2019]*/gu;
+    }
+    
+    // Go through all the syllables
+    ra = [];
+    li = 0;
+    for(m = rx.exec(str); m !== null; m = rx.exec(str)) {
+      
+      // Add any text before this syllable
+      if (m.index > li) {
+        ra.push({
+          "t": str.slice(li, m.index),
+          "c": str.slice(li, m.index)
+        });
+      }
+      li = m.index + m[0].length;
+      
+      // Get the possible Jyutping syllables
+      if (src === "jyu") {
+        ja = [m[0].toLowerCase()];
+      } else if (src === "ynum") {
+        ja = numYaleToJyutping(m[0]);
+      } else {
+        ja = parseYale(m[0]);
+      }
+      
+      // Keep only the structurally valid syllables
+      ja = ja.filter(x => !("error" in splitJyutping(x)));
+      
+      // If no valid syllables, this syllable is invalid
+      if (ja.length < 1) {
+        ra.push({"t": m[0], "c": null});
+        continue;
+      }
+      
+      // Prefer a syllable that is in the index
+      jyu = ja[0];
+      for(i = 0; i < ja.length; i++) {
+        if (ja[i] in m_idx_jyu) {
+          jyu = ja[i];
+          break;
+        }
+      }
+      
+      // Convert to the destination system
+      if (dst === "jyu") {
+        c = jyu;
+        
+      } else if (dst === "yale") {
+        c = jyutpingToYale(jyu);
+        
+      } else if (dst === "yapos") {
+        c = jyutpingToYale(jyu);
+        if (c !== null) {
+          c = yaleApostrophes(c);
+        }
+        
+      } else if (dst === "ynum") {
+        // Numeric Yale is the Yale for tone 3, which has no diacritic
+        // and no low-tone marker, followed by the tone number
+        sp = splitJyutping(jyu);
+        c = jyutpingToYale(jyu.slice(0, -1) + "3");
+        if (c !== null) {
+          c = c + sp.t.toString(10);
+        }
+        
+      } else {
+        fault(func_name, 200);
+      }
+      
+      // Capitalize if the original was capitalized
+      if ((c !== null) && ((/^['\u2018\u2019]*\p{Lu}/u).test(m[0]))) {
+        c = c.replace(/\p{L}/u, x => x.toUpperCase());
+      }
+      
+      // Add the converted syllable
+      ra.push({"t": m[0], "c": c});
+    }
+    
+    // Add any text after the last syllable
+    if (li < str.length) {
+      ra.push({"t": str.slice(li), "c": str.slice(li)});
+    }
+    
+    // Return the pieces
+    return ra;
+  }
+  
+  /*
+   * Parse a single romanized syllable into its parts.
+   * 
+   * The syllable is interpreted in the same way as a character query
+   * (see charGroups()), except that Jyutping with a tone number is
+   * accepted even if it is not in the Jyutping index.  The initial and
+   * final are checked against the same inventory as the data compiler
+   * canto_compile_char.pl uses.
+   * 
+   * On success, the return value is an object with these properties:
+   * 
+   *   "initial" - the Jyutping initial, or empty string if none
+   *   "final" - the Jyutping final
+   *   "tone" - the integer tone number 1-6, or 0 for tone-less input
+   *   "system" - the system the syllable was read as
+   * 
+   * The system is "jyu" for Jyutping, "yale" for Yale with diacritics
+   * or apostrophe escapes, "ynum" for numeric Yale, "cp" for Cantonese
+   * Pinyin, or "sl" for Sidney Lau.  The initial and final are always
+   * given in Jyutping, whatever the system.
+   * 
+   * On failure, the return value is an error object with these
+   * properties:
+   * 
+   *   "error" - "format", "initial", "final" or "tone"
+   *   "part" - the text of the part that is wrong
+   *   "system" - the system the syllable was read as
+   * 
+   * A "format" error means the syllable could not be split into parts
+   * at all, in which case "part" is the whole syllable.  For a tone
+   * error, "part" is the tone number if that is out of range, or else
+   * the whole syllable, as when Yale tone marks are misplaced.  Where
+   * the input could be either Jyutping or numeric Yale, the Jyutping
+   * error is returned.
+   * 
+   * The indices must first be built with buildIndices() before calling
+   * this function or a fault occurs.
+   * 
+   * Parameters:
+   * 
+   *   str : string - the syllable to parse
+   * 
+   * Return:
+   * 
+   *   the parsed syllable or an error object
+   */
+  function parseSyllable(str) {
+    
+    var func_name = "parseSyllable";
+    var sys, sp, r, ja, t, i;
+    
+    // Check state
+    if (!m_built) {
+      fault(func_name, 50);
+    }
+    
+    // Check parameter
+    if (typeof str !== "string") {
+      fault(func_name, 100);
+    }
+    
+    // Trim and normalize
+    str = str.trim().normalize("NFC");
+    
+    // Handle Cantonese Pinyin and Sidney Lau, which can only be
+    // checked as a whole
+    if ((/^(cp|sl):/i).test(str)) {
+      sys = str.slice(0, 2).toLowerCase();
+      str = str.slice(3).trim();
+      ja = foreignToJyutping(str, sys);
+      
+      // Tone-less syllables are split with a placeholder tone
+      for(i = 0; i < ja.length; i++) {
+        if ((/[1-6]$/).test(ja[i])) {
+          sp = splitJyutping(ja[i]);
+          if (!("error" in sp)) {
+            return {"initial": sp.nt, "final": sp.f, "tone": sp.t,
+                    "system": sys};
+          }
+        } else {
+          sp = splitJyutping(ja[i] + "1");
+          if (!("error" in sp)) {
+            return {"initial": sp.nt, "final": sp.f, "tone": 0,
+                    "system": sys};
+          }
+        }
+      }
+      return {"error": "format", "part": str, "system": sys};
+    }
+    
+    // Handle explicit Yale
+    if ((/^y:/i).test(str)) {
+      str = str.slice(2).trim();
+      if ((/[0-9]/).test(str)) {
+        return yaleSyllable(splitNumYale(str), "ynum");
+      } else {
+        return yaleSyllable(splitYale(str), "yale");
+      }
+    }
+    
+    // Handle explicit Jyutping, where tone-less syllables are split
+    // with a placeholder tone
+    if ((/^j:/i).test(str)) {
+      str = str.slice(2).trim();
+      if ((/[0-9]/).test(str)) {
+        sp = splitJyutping(str);
+        t = sp.t;
+      } else {
+        sp = splitJyutping(str + "1");
+        t = 0;
+      }
+      if (sp.error === "format") {
+        return {"error": "format", "part": str, "system": "jyu"};
+      } else if ("error" in sp) {
+        return {"error": sp.error, "part": sp.part, "system": "jyu"};
+      }
+      return {"initial": sp.nt, "final": sp.f, "tone": t,
+              "system": "jyu"};
+    }
+    
+    // With a tone number, try Jyutping and then numeric Yale
+    if ((/[0-9]/).test(str)) {
+      sp = splitJyutping(str);
+      if (!("error" in sp)) {
+        return {"initial": sp.nt, "final": sp.f, "tone": sp.t,
+                "system": "jyu"};
+      }
+      r = yaleSyllable(splitNumYale(str), "ynum");
+      if (!("error" in r)) {
+        return r;
+      }
+      return {"error": sp.error, "part": sp.part, "system": "jyu"};
+    }
+    
+    // Plain letters that are not Yale for any syllable in the index,
+    // but match the Jyutping index when the tone is ignored, are
+    // tone-less Jyutping
+    if ((/^[A-Za-z]+$/).test(str) &&
+        (!parseYale(str).some(x => (x in m_idx_jyu)))) {
+      if (matchJyutping(str.toLowerCase()).length > 0) {
+        sp = splitJyutping(str + "1");
+        if (!("error" in sp)) {
+          return {"initial": sp.nt, "final": sp.f, "tone": 0,
+                  "system": "jyu"};
+        }
+      }
+    }
+    
+    // Everything else is Yale
+    return yaleSyllable(splitYale(str), "yale");
+  }
+  
+  /*
+   * Work out what kind of query the user typed into the search box, so
+   * that it can be run with the right query function.
+   * 
+   * The return value is an object with a "kind" property that says how
+   * the query was recognized, a "mode" property that says which query
+   * to run, and a "q" property that is the query string to pass to it.
+   * The kind is one of the following:
+   * 
+   *   "lit" - a codepoint literal such as "u72d7" or "U+72D7"
+   *   "jyu" - one or more Jyutping syllables
+   *   "yale" - one or more Yale syllables
+   *   "pin" - one or more Mandarin Pinyin syllables
+   *   "han" - Chinese characters
+   *   "eng" - English words
+   * 
+   * The mode is "chr" for a character query with charGroups(), or one
+   * of the wordPage() modes "eng", "jyu" or "pin".  A single Cantonese
+   * syllable or a single Han character is a character query, while
+   * several syllables are a reading query and several Han characters
+   * are a headword query.
+   * 
+   * The query may begin with one of the prefixes "j:" for Jyutping,
+   * "y:" for Yale, "p:" for Pinyin, "e:" for English or "u:" for a
+   * codepoint, which overrides the detection.  The "cp:" and "sl:"
+   * prefixes of charGroups() are also recognized as Jyutping character
+   * queries.
+   * 
+   * Without a prefix, Cantonese readings are preferred to Pinyin when
+   * the query could be either.  Plain letters without tones are English
+   * if every word is in the English vocabulary, and otherwise Yale,
+   * tone-less Jyutping or Pinyin if they are valid as that, where Yale
+   * and Jyutping are told apart as in charGroups().  Anything that is
+   * not recognized is English.
+   * 
+   * If the query is empty or only whitespace, null is returned.
+   * 
+   * The indices must first be built with buildIndices() before calling
+   * this function or a fault occurs.
+   * 
+   * Parameters:
+   * 
+   *   str : string - the query
+   * 
+   * Return:
+   * 
+   *   the detected query object, or null
+   */
+  function detectQuery(str) {
+    
+    var func_name = "detectQuery";
+    var m, ta, pa;
+    
+    // Check state
+    if (!m_built) {
+      fault(func_name, 50);
+    }
+    
+    // Check parameter
+    if (typeof str !== "string") {
+      fault(func_name, 100);
+    }
+    
+    // Trim and normalize
+    str = str.trim().normalize("NFC");
+    if (str.length < 1) {
+      return null;
+    }
+    
+    // Handle the explicit prefixes
+    m = str.match(/^([jypeu]):\s*(.*)$/i);
+    if (m != null) {
+      str = m[2].trim();
+      if (str.length < 1) {
+        return null;
+      }
+      m = m[1].toLowerCase();
+      if (m === "j") {
+        ta = str.replace(/([1-6])(?=[A-Za-z])/g, "$1 ").split(/\s+/);
+        return cantoQuery(ta.map(x => ("j:" + x)), false);
+      } else if (m === "y") {
+        return cantoQuery(
+          str.replace(/([1-6])(?=[A-Za-z])/g, "$1 ").split(/\s+/),
+          true);
+      } else if (m === "p") {
+        return {"kind": "pin", "mode": "pin", "q": str};
+      } else if (m === "e") {
+        return {"kind": "eng", "mode": "eng", "q": str};
+      } else {
+        return {"kind": "lit", "mode": "chr",
+                "q": "u" + str.replace(/^(u\+?|0x)/i, "")};
+      }
+    }
+    if ((/^(cp|sl):/i).test(str)) {
+      return {"kind": "jyu", "mode": "chr", "q": str};
+    }
+    
+    // Codepoint literals
+    if ((/^u\+?[0-9a-f]{4,6}$/i).test(str)) {
+      return {"kind": "lit", "mode": "chr", "q": str.replace("+", "")};
+    }
+    
+    // Han characters, where a single character is a character query
+    if ((/\p{Script=Han}/u).test(str)) {
+      if (Array.from(str).length === 1) {
+        return {"kind": "han", "mode": "chr", "q": str};
+      } else {
+        return {"kind": "han", "mode": "eng", "q": str};
+      }
+    }
+    
+    // Word query syntax other than prefixes means English
+    if ((/["\u201c\u201d|-]/).test(str)) {
+      return {"kind": "eng", "mode": "eng", "q": str};
+    }
+    
+    // Split into Cantonese and Pinyin tokens the same way as the
+    // reading and Pinyin queries
+    ta = str.replace(/([1-6])(?=[A-Za-z])/g, "$1 ").split(/\s+/);
+    pa = str.replace(/([1-5])(?=[^\s1-5'])/g, "$1 ");
+    pa = pa.replace(/[\u2018\u2019']/g, " ").trim().split(/\s+/);
+    
+    // Plain words that are all in the English vocabulary are English
+    if ((/^[A-Za-z\s]+$/).test(str) &&
+        ta.every(x => ((x.toLowerCase() in m_idx_eng) ||
+                        (stemWord(x.toLowerCase()) in m_idx_stem)))) {
+      return {"kind": "eng", "mode": "eng", "q": str};
+    }
+    
+    // Cantonese syllables, which are Jyutping if each one is either in
+    // the Jyutping index or is tone-less or a wildcard pattern that is
+    // not read as Yale, and otherwise Yale
+    if (ta.every(isCantoToken)) {
+      m = cantoQuery(ta, false);
+      if (!ta.every(x => ((x.toLowerCase() in m_idx_jyu) ||
+                ((/^[a-z?*]+[1-6]?$/i).test(x) &&
+                  (!(/^[a-z]+[1-6]$/i).test(x)) &&
+                  (!parseYale(x).some(y => (y in m_idx_jyu))))))) {
+        m.kind = "yale";
+      }
+      return m;
+    }
+    
+    // Pinyin syllables
+    if (pa.every(isPinyinToken)) {
+      return {"kind": "pin", "mode": "pin", "q": str};
+    }
+    
+    // Anything else is English
+    return {"kind": "eng", "mode": "eng", "q": str};
+  }
+  
+  /*
+   * Suggest corrected queries for a query that had no results.
+   * 
+   * The mode is "chr" for a character query, in which case the
+   * suggestions are Jyutping syllables in the index that are close to
+   * the query, or "eng" for an English word query, in which case the
+   * suggestions are the query with unknown words replaced by close
+   * words from the dictionary vocabulary.  Closeness is measured by
+   * edit distance.  At most MAX_SUGGESTIONS are returned, best first.
+   * 
+   * The indices must first be built with buildIndices() before calling
+   * this function or a fault occurs.
+   * 
+   * Parameters:
+   * 
+   *   str : string - the query that had no results
+   * 
+   *   mode : string - the query mode
+   * 
+   * Return:
+   * 
+   *   array of suggested query strings, which may be empty
+   */
+  function suggest(str, mode) {
+    
+    var func_name = "suggest";
+    
+    // Check state
+    if (!m_built) {
+      fault(func_name, 50);
+    }
+    
+    // Check parameters
+    if ((typeof str !== "string") || (typeof mode !== "string")) {
+      fault(func_name, 100);
+    }
+    
+    // Dispatch on mode
+    if (mode === "chr") {
+      return sylSuggestions(str);
+    } else if (mode === "eng") {
+      return engSuggestions(str);
+    } else {
+      fault(func_name, 110);
+    }
+  }
+  
+  /*
+   * Get the word candidates of an input method for a reading query.
+   * 
+   * The return value is an array of the traditional headwords of the
+   * first MAX_IME_WORDS results of readingResults(), which may have
+   * repeats.  The candidates are remembered in m_ime_cache, since each
+   * keystroke looks up most of the same syllable sequences again.
+   * 
+   * The indices must first be built with buildIndices() before calling
+   * this function or a fault occurs.
+   * 
+   * Parameters:
+   * 
+   *   q : string - the reading query
+   * 
+   * Return:
+   * 
+   *   array of headwords, which may be empty
+   */
+  function imeWords(q) {
+    
+    var func_name = "imeWords";
+    var ra;
+    
+    // Check parameter
+    if (typeof q !== "string") {
+      fault(func_name, 100);
+    }
+    
+    // Start over if nothing is remembered yet or too much is
+    if ((m_ime_cache === null) || (m_ime_count >= MAX_IME_CACHE)) {
+      m_ime_cache = Object.create(null);
+      m_ime_count = 0;
+    }
+    
+    // Look up the query if it is not remembered
+    if (!(q in m_ime_cache)) {
+      ra = readingResults(q).slice(0, MAX_IME_WORDS);
+      m_ime_cache[q] = ra.map(x => canto_words[x.wid][0]);
+      m_ime_count++;
+    }
+    
+    // Return the candidates
+    return m_ime_cache[q];
+  }
+  
+  /*
+   * Get the candidates for a Cantonese input method.
+   * 
+   * The input is what the user has typed so far in Jyutping or Yale,
+   * which is split into syllables by imeSyllables().  Each syllable may
+   * be anything accepted as a reading by charGroups(), so tones may be
+   * left out, except that tone-less Jyutping is tried before Yale, as
+   * described for imeReading().
+   * 
+   * The return value is an object with a "syl" property that is the
+   * array of syllables and a "cand" property that is the array of
+   * candidates.  Each candidate is an object with a "t" property that
+   * is the text to enter and an "n" property that is how many of the
+   * syllables, counting from the start, it stands for.
+   * 
+   * Candidates that use more syllables come first.  For two or more
+   * syllables, these are the traditional headwords of dictionary
+   * entries read that way, ranked as by readingQuery(), with at most
+   * MAX_IME_WORDS for each number of syllables.  Last come the
+   * characters for the first syllable, from most to least frequent.
+   * 
+   * The indices must first be built with buildIndices() before calling
+   * this function or a fault occurs.
+   * 
+   * Parameters:
+   * 
+   *   str : string - the typed input
+   * 
+   * Return:
+   * 
+   *   the candidates object
+   */
+  function imeCandidates(str) {
+    
+    var func_name = "imeCandidates";
+    var sa, ca, seen, wa, ga, cpa, i, j, t;
+    
+    // Check state
+    if (!m_built) {
+      fault(func_name, 50);
+    }
+    
+    // Check parameter
+    if (typeof str !== "string") {
+      fault(func_name, 100);
+    }
+    
+    // Split into syllables
+    sa = imeSyllables(str);
+    ca = [];
+    seen = Object.create(null);
+    
+    // Add the words, longest first
+    for(i = sa.length; i >= 2; i--) {
+      wa = imeWords(sa.slice(0, i).map(imeReading).join(" "));
+      for(j = 0; j < wa.length; j++) {
+        t = wa[j];
+        if (!(t in seen)) {
+          seen[t] = true;
+          ca.push({"t": t, "n": i});
+        }
+      }
+    }
+    
+    // Add the characters of the first syllable by frequency, keeping
+    // the index order for characters of the same frequency
+    if (sa.length > 0) {
+      ga = charGroups(imeReading(sa[0])).filter(
+        x => (x.syl.length > 0));
+      cpa = [];
+      for(i = 0; i < ga.length; i++) {
+        cpa = cpa.concat(ga[i].cpa);
+      }
+      cpa = cpa.map((x, j) => ({"c": x, "i": j, "f": charFreq(x)}));
+      cpa.sort(function(a, b) {
+        if (a.f !== b.f) {
+          return b.f - a.f;
+        }
+        return a.i - b.i;
+      });
+      for(i = 0; i < cpa.length; i++) {
+        t = String.fromCodePoint(cpa[i].c);
+        if (!(t in seen)) {
+          seen[t] = true;
+          ca.push({"t": t, "n": 1});
+        }
+      }
+    }
+    
+    // Return the syllables and candidates
+    return {"syl": sa, "cand": ca};
+  }
+  
+  /*
+   * Suggest likely continuations of text that is being typed.
+   * 
+   * The last one to three Han characters at the end of the text are
+   * matched against the starts of the traditional and simplified
+   * headwords in the dictionary.  Each headword that starts with them
+   * and is longer gives a continuation, which is the rest of the
+   * headword.  Continuations from longer matches come first, and then
+   * they are ranked as by readingQuery(), which favors short headwords
+   * of frequent characters.  Repeated continuations are dropped, and at
+   * most MAX_PREDICTIONS are returned.
+   * 
+   * Each continuation is an object with a "t" property that is the text
+   * to add, a "wid" property that is the index of the dictionary entry
+   * in canto_words, and a "jyu" property that is an array with the
+   * Jyutping readings of each character of the text.  The readings of
+   * a character are an array of all the readings listed for it, since
+   * the dictionary entries do not say which one the word uses, and the
+   * array is empty if the character has no readings.
+   * 
+   * The indices must first be built with buildIndices() before calling
+   * this function or a fault occurs.
+   * 
+   * Parameters:
+   * 
+   *   str : string - the text typed so far, up to the input cursor
+   * 
+   * Return:
+   * 
+   *   array of continuations, which may be empty
+   */
+  function predict(str) {
+    
+    var func_name = "predict";
+    var ca, ka, ra, seen, wa, hw, t, ci, i, j, k, n;
+    
+    // Check state
+    if (!m_built) {
+      fault(func_name, 50);
     }
     
-    // Figure out whether there is an apostrophe before and/or after the
-    // first vowel
-    ab = false;
-    af = false;
+    // Check parameter
+    if (typeof str !== "string") {
+      fault(func_name, 100);
+    }
     
-    if (fvi > 0) {
-      if (str.charAt(fvi - 1) === "'") {
-        ab = true;
+    // Get up to three Han characters at the end of the text
+    ca = Array.from(str);
+    ka = [];
+    for(i = ca.length - 1; (i >= 0) && (ka.length < 3); i--) {
+      if (!((/\p{Script=Han}/u).test(ca[i]))) {
+        break;
       }
+      ka.unshift(ca[i]);
     }
     
-    if (fvi < str.length - 1) {
-      if (str.charAt(fvi + 1) === "'") {
-        af = true;
+    // Find continuations for the longest match first
+    ra = [];
+    seen = Object.create(null);
+    for(n = ka.length; (n > 0) && (ra.length < MAX_PREDICTIONS); n--) {
+      k = ka.slice(-n).join("");
+      
+      // Rank the entries with a headword that is longer than the match
+      // and starts with it
+      wa = headwordsWith([k.codePointAt(0)]).filter(
+        x => canto_words[x].slice(0, 2).some(
+          y => ((y.length > k.length) && y.startsWith(k))));
+      wa = rankWords([], wa, true);
+      
+      // Add the rest of each headword that starts with the match
+      for(i = 0; i < wa.length; i++) {
+        if (ra.length >= MAX_PREDICTIONS) {
+          break;
+        }
+        for(j = 0; j < 2; j++) {
+          hw = canto_words[wa[i].wid][j];
+          if ((hw.length <= k.length) || (!hw.startsWith(k))) {
+            continue;
+          }
+          t = hw.slice(k.length);
+          if (t in seen) {
+            continue;
+          }
+          seen[t] = true;
+          ra.push({
+            "t": t,
+            "wid": wa[i].wid,
+            "jyu": Array.from(t).map(function(c) {
+              ci = seekCode(c.codePointAt(0));
+              if (ci < 0) {
+                return [];
+              }
+              return canto_chars[ci].crd.map(x => x);
+            })
+          });
+          break;
+        }
       }
     }
     
-    // Drop the apostrophes that surround the initial vowel and adjust
-    // fvi/lvi if necessary
-    if (ab) {
-      if (fvi > 1) {
-        str = str.slice(0, fvi - 1) + str.slice(fvi);
-      } else {
-        str = str.slice(1);
-      }
-      fvi--;
-      lvi--;
+    // Return the continuations
+    return ra;
+  }
+  
+  /*
+   * Split text into dictionary words.
+   * 
+   * The words are the traditional and simplified headwords of the
+   * dictionary, found with a trie.  Two methods are available, and
+   * "best" is used if none is given:
+   * 
+   *   "max" - maximum matching, which goes from left to right and takes
+   *   the longest headword at each position
+   * 
+   *   "best" - the path through the text with the lowest total cost
+   *   according to segmentCost(), which favors fewer segments of more
+   *   frequent characters
+   * 
+   * With both methods, a character that does not start any headword
+   * becomes a segment by itself.
+   * 
+   * The return value is an array of spans that together cover the whole
+   * text in order.  Each span is an object with a "t" property that is
+   * the text of the span, "s" and "e" properties that are the offsets
+   * of its start and end in the string, such that str.slice(s, e) is
+   * the text of the span, and a "wid" property that is the index in
+   * canto_words of the first dictionary entry with that headword or -1
+   * if the span is not a headword.
+   * 
+   * The indices must first be built with buildIndices() before calling
+   * this function or a fault occurs.
+   * 
+   * Parameters:
+   * 
+   *   str : string - the text to split
+   * 
+   *   method : string - (optional) "max" or "best", or undefined for
+   *   "best"
+   * 
+   * Return:
+   * 
+   *   array of spans, which may be empty
+   */
+  function segment(str, method) {
+    
+    var func_name = "segment";
+    var ca, ma, pa, best, ra, sa, c, i, j, n, wid;
+    
+    // Check state
+    if (!m_built) {
+      fault(func_name, 50);
     }
     
-    if (af) {
-      if (fvi + 2 >= str.length) {
-        str = str.slice(0, -1);
-      } else {
-        str = str.slice(0, fvi + 1) + str.slice(fvi + 2);
-      }
-      if (lvi > fvi) {
-        lvi--;
-      }
+    // Check parameters
+    if (typeof str !== "string") {
+      fault(func_name, 100);
+    }
+    if (method === undefined) {
+      method = "best";
+    }
+    if ((method !== "max") && (method !== "best")) {
+      fault(func_name, 110);
     }
     
-    // If an "h" after the last vowel, then begin tone at 6, while
-    // otherwise begin tone at 3; remove marker h if present
-    if (lvi < str.length - 1) {
-      if (str.charAt(lvi + 1) === "h") {
-        t = 6;
-        if (lvi + 2 >= str.length) {
-          str = str.slice(0, -1);
+    // Split the text into codepoints
+    ca = Array.from(str);
+    
+    // Get the lengths of the segments, along with their entries
+    sa = [];
+    if (method === "max") {
+      // Take the longest headword at each position
+      for(i = 0; i < ca.length; i += n) {
+        ma = trieMatches(ca, i);
+        if (ma.length > 0) {
+          n = ma[ma.length - 1].n;
+          wid = ma[ma.length - 1].wid;
         } else {
-          str = str.slice(0, lvi + 1) + str.slice(lvi + 2);
+          n = 1;
+          wid = -1;
         }
-        
-      } else {
-        t = 3;
+        sa.push({"n": n, "wid": wid});
       }
-      
-    } else {
-      t = 3;
-    }
     
-    // Adjust tone based on apostrophes that surrounded the initial
-    // vowel
-    if (ab && af) {
-      // Both sides so macron -- make sure we are not currently at tone
-      // six, which can't use macron, and return nothing if that is the
-      // case
-      if (t === 6) {
-        return [];
+    } else {
+      // For each position, find the cheapest path to it; best[i] is an
+      // object with the total cost "c" and the last segment "n" and
+      // "wid", or null if no path has been found yet
+      best = [{"c": 0, "n": 0, "wid": -1}];
+      for(i = 1; i <= ca.length; i++) {
+        best.push(null);
+      }
+      for(i = 0; i < ca.length; i++) {
+        ma = trieMatches(ca, i);
+        if ((ma.length < 1) || (ma[0].n > 1)) {
+          ma.unshift({"n": 1, "wid": -1});
+        }
+        for(j = 0; j < ma.length; j++) {
+          c = best[i].c + segmentCost(ca.slice(i, i + ma[j].n),
+                                      (ma[j].wid >= 0));
+          n = i + ma[j].n;
+          if ((best[n] === null) || (c < best[n].c)) {
+            best[n] = {"c": c, "n": ma[j].n, "wid": ma[j].wid};
+          }
+        }
       }
       
-      // Macron equivalent in Jyutping to grave accent
-      t = t - 2;
-      
-    } else if (ab) {
-      // Apostrophe before so grave accent
-      t = t - 2;
-      
-    } else if (af) {
-      // Apostrophe after so acute accent
-      t = t - 1;
-    }
-    
-    // We now got the Jyutping tone number and dropped apostrophes and
-    // the h marker -- make sure no apostrophes remain
-    if (str.indexOf("'") !== -1) {
-      return [];
-    }
-    
-    // If the first vowel is a "u" that is preceded by a "y", move the
-    // first vowel index back one so that it points to the "y"
-    if ((str.charAt(fvi) === "u") && (fvi > 0)) {
-      if (str.charAt(fvi - 1) === "y") {
-        fvi--;
+      // Trace the path back from the end
+      for(i = ca.length; i > 0; i -= best[i].n) {
+        sa.unshift({"n": best[i].n, "wid": best[i].wid});
       }
     }
     
-    // Split into initial and final, with final starting on first vowel
-    if (fvi > 0) {
-      nt = str.slice(0, fvi);
-    } else {
-      nt = "";
+    // Convert the lengths into spans
+    ra = [];
+    i = 0;
+    pa = 0;
+    for(j = 0; j < sa.length; j++) {
+      c = ca.slice(i, i + sa[j].n).join("");
+      ra.push({"t": c, "s": pa, "e": pa + c.length, "wid": sa[j].wid});
+      i = i + sa[j].n;
+      pa = pa + c.length;
     }
     
-    f = str.slice(fvi);
-
-    // Make sure initial is allowed, if present
-    if (nt.length > 0) {
-      if (VALID_INITIALS.indexOf(":" + nt + ":") < 0) {
-        return [];
-      }
-    }
+    // Return the spans
+    return ra;
+  }
+  
+  /*
+   * Annotate text with the Cantonese readings of its characters.
+   * 
+   * The text is split into segments by maximum matching with
+   * segment(), so that at each position the longest traditional or
+   * simplified headword in the dictionary that the text continues with
+   * becomes a segment.  Where no headword matches, the character alone
+   * becomes a segment.  Runs of characters that match no headword and
+   * have no readings, such as spaces and Latin letters, are then joined
+   * together into one segment.
+   * 
+   * The return value is an array of segments in the same order as the
+   * text.  Each segment is an object with a "t" property that is the
+   * text of the segment, a "wid" property that is the index in
+   * canto_words of the first dictionary entry with that headword or -1
+   * if none, and a "ca" property that is an array with an object for
+   * each character of the segment.  Each character object has a "c"
+   * property that is the character, a "cpv" property that is its
+   * codepoint, and an "rd" property that is an array of all its
+   * Jyutping readings from canto_chars, which is empty if it has none.
+   * Characters with more than one reading are ambiguous, because the
+   * dictionary does not record which reading is used in each word.
+   * 
+   * The indices must first be built with buildIndices() before calling
+   * this function or a fault occurs.
+   * 
+   * Parameters:
+   * 
+   *   str : string - the text to annotate
+   * 
+   * Return:
+   * 
+   *   array of segments, which may be empty
+   */
+  function annotate(str) {
     
-    // Make sure we don't have a "y" initial followed by a final that
-    // starts with "yu"
-    if ((nt === "y") && ((/^yu/).test(f))) {
-      return [];
-    }
+    var func_name = "annotate";
+    var pa, ra, sa, ta, rd, ci, i, j;
     
-    // Transform initial to Jyutping
-    if (nt === "y") {
-      nt = "j";
-    } else if (nt === "j") {
-      nt = "z";
-    } else if (nt === "ch") {
-      nt = "c";
+    // Check state
+    if (!m_built) {
+      fault(func_name, 50);
     }
     
-    // If initial is empty and final starts with "yu" then insert "j"
-    // as the initial
-    if ((nt.length < 1) && ((/^yu/).test(f))) {
-      nt = "j";
+    // Check parameter
+    if (typeof str !== "string") {
+      fault(func_name, 100);
     }
     
-    // If final is just "a" then change to Jyutping "aa"
-    if (f === "a") {
-      f = "aa";
-    }
+    // Split the text into segments by maximum matching
+    pa = segment(str, "max");
+    ra = [];
     
-    // If final begins with "eu" then change to "oe" or "eo" depending
-    // on what follows
-    if ((/^eu/).test(f)) {
-      // For eui, eun, eut change to eo, else change to oe
-      if ((/^eu[int]$/).test(f)) {
-        f = "eo" + f.slice(2);
-      } else {
-        if (f.length > 2) {
-          f = "oe" + f.slice(2);
+    // Go through the text one segment at a time
+    for(i = 0; i < pa.length; i++) {
+      // Look up the readings of each character
+      ta = Array.from(pa[i].t);
+      sa = [];
+      for(j = 0; j < ta.length; j++) {
+        ci = seekCode(ta[j].codePointAt(0));
+        if (ci >= 0) {
+          rd = canto_chars[ci].crd.slice(0);
         } else {
-          f = "oe";
+          rd = [];
         }
+        sa.push({"c": ta[j], "cpv": ta[j].codePointAt(0), "rd": rd});
       }
-    }
-    
-    // Get the Jyutping version
-    str = nt + f + t.toString(10);
-    
-    // Recursive handling
-    if ((/^jyu/).test(str)) {
-      // Jyutping starts with "jyu" but Yale romanization conversion is
-      // ambiguous because it could also be for "ju" in Jyutping;
-      // recursively try both possibilities
-      ra1 = charQuery(str);
-      ra2 = charQuery("j" + str.slice(2));
-      
-      // Merge both results and return them
-      return ra1.concat(ra2);
       
-    } else {
-      // No possibility of ambiguity, so recursively invoke with the
-      // Jyutping
-      return charQuery(str);
+      // Join a character without a headword or readings to a previous
+      // segment of the same kind, else add a new segment
+      if ((pa[i].wid < 0) && (sa[0].rd.length < 1) && (ra.length > 0) &&
+          (ra[ra.length - 1].wid < 0) &&
+          (ra[ra.length - 1].ca[0].rd.length < 1)) {
+        ra[ra.length - 1].t = ra[ra.length - 1].t + sa[0].c;
+        ra[ra.length - 1].ca.push(sa[0]);
+      } else {
+        ra.push({"t": pa[i].t, "wid": pa[i].wid, "ca": sa});
+      }
     }
+    
+    // Return the segments
+    return ra;
   }
   
   /*
@@ -933,7 +5502,7 @@
   function buildIndices() {
     
     var func_name = "buildIndices";
-    var i, j, cpv, r, ra;
+    var i, j, k, cpv, r, ra;
     
     // Check state
     if (m_built) {
@@ -987,6 +5556,131 @@
       });
     }
     
+    // Build the English token index; since entries are visited in
+    // ascending order, each posting list is built already sorted, and
+    // duplicates only need to be checked against the last element
+    m_idx_eng = Object.create(null);
+    for(i = 0; i < canto_words.length; i++) {
+      // Get all the lowercase tokens of the definitions, leaving out
+      // the Pinyin in square brackets after cross-references and
+      // classifiers so that syllables are not taken for English words
+      ra = canto_words[i][3].join(" ").replace(/\[[^\]]*\]/g, " ");
+      ra = ra.toLowerCase().match(/[a-z]+/g);
+      if (ra == null) {
+        continue;
+      }
+      
+      // Add this entry to the posting list of each token
+      for(j = 0; j < ra.length; j++) {
+        r = ra[j];
+        if (!(r in m_idx_eng)) {
+          m_idx_eng[r] = [];
+        }
+        if ((m_idx_eng[r].length < 1) ||
+            (m_idx_eng[r][m_idx_eng[r].length - 1] !== i)) {
+          m_idx_eng[r].push(i);
+        }
+      }
+    }
+    
+    // Build the English stem index by combining the posting lists of
+    // all the tokens that have the same stem
+    ra = Object.create(null);
+    for(r in m_idx_eng) {
+      k = stemWord(r);
+      if (!(k in ra)) {
+        ra[k] = [];
+      }
+      ra[k].push(m_idx_eng[r]);
+    }
+    m_idx_stem = Object.create(null);
+    for(k in ra) {
+      if (ra[k].length > 1) {
+        m_idx_stem[k] = unionLists(ra[k]);
+      } else {
+        m_idx_stem[k] = ra[k][0];
+      }
+    }
+    
+    // Stem the definitions of each entry once, so that stemmed queries
+    // do not have to
+    m_stem_def = [];
+    for(i = 0; i < canto_words.length; i++) {
+      m_stem_def.push(canto_words[i][3].map(stemDef));
+    }
+    
+    // Build the headword character index from both the traditional
+    // and simplified headwords, in the same way as the English token
+    // index
+    m_idx_chw = {};
+    for(i = 0; i < canto_words.length; i++) {
+      // Get all the codepoints of both headwords
+      ra = Array.from(canto_words[i][0] + canto_words[i][1]);
+      
+      // Add this entry to the posting list of each codepoint
+      for(j = 0; j < ra.length; j++) {
+        r = ra[j].codePointAt(0).toString(16).toLowerCase();
+        if (!(r in m_idx_chw)) {
+          m_idx_chw[r] = [];
+        }
+        if ((m_idx_chw[r].length < 1) ||
+            (m_idx_chw[r][m_idx_chw[r].length - 1] !== i)) {
+          m_idx_chw[r].push(i);
+        }
+      }
+    }
+    
+    // Build the headword trie from both the traditional and
+    // simplified headwords
+    m_trie = {"wid": [], "next": Object.create(null)};
+    for(i = 0; i < canto_words.length; i++) {
+      for(j = 0; j < 2; j++) {
+        // Walk down the trie, adding nodes as needed
+        ra = Array.from(canto_words[i][j]);
+        if (ra.length < 1) {
+          continue;
+        }
+        r = m_trie;
+        for(k = 0; k < ra.length; k++) {
+          if (!(ra[k] in r.next)) {
+            r.next[ra[k]] = {"wid": [], "next": Object.create(null)};
+          }
+          r = r.next[ra[k]];
+        }
+        
+        // Add this entry to the node of the headword
+        if ((r.wid.length < 1) || (r.wid[r.wid.length - 1] !== i)) {
+          r.wid.push(i);
+        }
+      }
+    }
+    
+    // Find the highest character frequency
+    m_freq_max = 0;
+    for(k in canto_freq) {
+      m_freq_max = Math.max(m_freq_max, canto_freq[k]);
+    }
+    
+    // Build the Pinyin index from the tone-less lowercase syllables,
+    // skipping punctuation elements
+    m_idx_pin = Object.create(null);
+    for(i = 0; i < canto_words.length; i++) {
+      ra = canto_words[i][2];
+      for(j = 0; j < ra.length; j++) {
+        r = ra[j].toLowerCase().replace(/[1-5]$/, "");
+        if (!((/[a-z]/).test(r))) {
+          continue;
+        }
+        if (!(r in m_idx_pin)) {
+          m_idx_pin[r] = [];
+        }
+        if ((m_idx_pin[r].length < 1) ||
+            (m_idx_pin[r][m_idx_pin[r].length - 1] !== i)) {
+          m_idx_pin[r].push(i);
+        }
+      }
+    }
+    
     // Update state
     m_built = true;
   }
@@ -999,7 +5693,23 @@
    */
   window.ctt_main = {
     "wordQuery": wordQuery,
+    "readingQuery": readingQuery,
+    "pinyinQuery": pinyinQuery,
+    "charWords": charWords,
+    "wordPage": wordPage,
     "charQuery": charQuery,
+    "charGroups": charGroups,
+    "homophones": homophones,
+    "imeCandidates": imeCandidates,
+    "predict": predict,
+    "segment": segment,
+    "annotate": annotate,
+    "jyutpingToYale": jyutpingToYale,
+    "jyutpingToIPA": jyutpingToIPA,
+    "convertRoman": convertRoman,
+    "parseSyllable": parseSyllable,
+    "suggest": suggest,
+    "detectQuery": detectQuery,
     "seekCode": seekCode,
     "buildIndices": buildIndices
   };  
@@ -18,85 +18,1526 @@
 // added to global scope
 (function() {
 
+  /*
+   * Constants
+   * =========
+   */
+  
+  /*
+   * The number of word results to show on each page.
+   */
+  var WORD_PAGE_SIZE = 50;
+  
+  /*
+   * The start and end pitch of each Cantonese tone on the five-level
+   * Chao scale, with the array index being one less than the Jyutping
+   * tone number.  Used for drawing the pitch-contour glyphs.
+   */
+  var TONE_PITCH = [[5, 5], [3, 5], [3, 3], [2, 1], [1, 3], [2, 2]];
+  
+  /*
+   * The number of milliseconds to wait after the last keystroke in the
+   * query box before running the search as you type.
+   */
+  var LIVE_DELAY = 300;
+  
+  /*
+   * The number of milliseconds to keep the object URL of a downloaded
+   * export before releasing it.  Some browsers only start reading the
+   * URL some time after the download link is clicked, so this must not
+   * be too short.
+   */
+  var REVOKE_DELAY = 60000;
+  
+  /*
+   * Descriptions of each kind of query returned by
+   * ctt_main.detectQuery(), shown above the results of a search as you
+   * type.
+   */
+  var KIND_NAMES = {
+    "lit": "a codepoint",
+    "jyu": "Jyutping",
+    "yale": "Yale",
+    "pin": "Pinyin",
+    "han": "Chinese characters",
+    "eng": "English"
+  };
+  
+  /*
+   * Descriptions of each kind of homophone returned by
+   * ctt_main.homophones(), shown after the syllable in the group
+   * headers.
+   */
+  var REL_NAMES = {
+    "same": "same reading",
+    "tone": "other tone",
+    "near": "near-homophone"
+  };
+  
+  /*
+   * The number of candidates shown at a time in the input method popup,
+   * which can be chosen with the number keys.
+   */
+  var IME_PAGE_SIZE = 9;
+
   /*
    * Local data
    * ==========
    */
 
   /*
-   * The character offset that follows the input cursor in the typing
-   * box, which is updated whenever the typing box loses focus.
+   * The character offset that follows the input cursor in the typing
+   * box, which is updated whenever the typing box loses focus.
+   */
+  var m_caret = 0;
+  
+  /*
+   * The query string of the word query whose results are currently
+   * being paged through.
+   */
+  var m_wquery = "";
+  
+  /*
+   * The mode of the word query whose results are currently being paged
+   * through, in the format accepted by ctt_main.wordPage().
+   */
+  var m_wmode = "eng";
+  
+  /*
+   * The romanization used to display readings in result tables.  This
+   * is "jyu" for Jyutping, "yale" for Yale, "both" for Yale followed
+   * by Jyutping in parentheses, or "ipa" for IPA.
+   */
+  var m_roman = "jyu";
+  
+  /*
+   * The most recently listed results, so they can be listed again when
+   * display settings change.  This is null if nothing has been listed
+   * yet, else an object with a "f" property that is the listing
+   * function and a "da" property that is the results object.
+   */
+  var m_last = null;
+  
+  /*
+   * The timer ID of the pending search as you type, or null if there is
+   * none.
+   */
+  var m_live = null;
+  
+  /*
+   * Flag that is true when the input method is turned on for the typing
+   * box.
+   */
+  var m_ime = false;
+  
+  /*
+   * The romanization typed into the input method that has not yet been
+   * committed.
+   */
+  var m_ime_buf = "";
+  
+  /*
+   * The candidates for m_ime_buf in the format returned by
+   * ctt_main.imeCandidates(), and the index of the page of candidates
+   * that is shown.
+   */
+  var m_ime_cand = null;
+  var m_ime_page = 0;
+  
+  /*
+   * The continuations shown in the suggestion strip under the typing
+   * box, in the format returned by ctt_main.predict().
+   */
+  var m_pred = [];
+  
+  /*
+   * The segments of the most recently annotated text, in the format
+   * returned by ctt_main.annotate(), or null if nothing has been
+   * annotated yet.
+   */
+  var m_annot = null;
+  
+  /*
+   * The readings picked for the annotated text.  There is an array for
+   * each segment in m_annot, which has an element for each character
+   * of the segment.  The element is the index of the picked reading in
+   * the "rd" array of the character, or -1 if no reading has been
+   * picked yet.  Characters with a single reading start with it picked.
+   */
+  var m_annot_sel = [];
+
+  /*
+   * Local functions
+   * ===============
+   */
+  
+  /*
+   * Report an error to console and throw an exception for a fault
+   * occurring within this module.
+   *
+   * Parameters:
+   *
+   *   func_name : string - the name of the function in this module
+   *
+   *   loc : number(int) - the location within the function
+   */
+  function fault(func_name, loc) {
+    
+    // If parameters not valid, set to unknown:0
+    if ((typeof func_name !== "string") || (typeof loc !== "number")) {
+      func_name = "unknown";
+      loc = 0;
+    }
+    loc = Math.floor(loc);
+    if (!isFinite(loc)) {
+      loc = 0;
+    }
+    
+    // Report error to console
+    console.log("Fault at " + func_name + ":" + String(loc) +
+                  " in ctt_html");
+    
+    // Throw exception
+    throw ("ctt_html:" + func_name + ":" + String(loc));
+  }
+
+  /*
+   * Escape a string if necessary so that it can be included within
+   * HTML markup.
+   *
+   * This first escapes & as &amp;, and then escapes < as &lt; and > as
+   * &gt;
+   *
+   * Parameters:
+   *
+   *   str : string - the string to escape
+   *
+   * Return:
+   *
+   *   the escaped string
+   */
+  function htmlEsc(str) {
+    
+    var func_name = "htmlEsc";
+    
+    // Check parameter
+    if (typeof str !== "string") {
+      fault(func_name, 100);
+    }
+    
+    // Replace ampersand
+    str = str.replace(/&/g, "&amp;");
+    
+    // Replace markup characters
+    str = str.replace(/</g, "&lt;");
+    str = str.replace(/>/g, "&gt;");
+    
+    // Return escaped string
+    return str;
+  }
+
+  /*
+   * Generate a small inline SVG glyph showing the pitch contour of the
+   * tone of a Jyutping reading.
+   *
+   * The glyph has a vertical bar on the right like the Chao tone
+   * letters, with the contour drawn against it.
+   *
+   * Parameters:
+   *
+   *   jyu : string - the Jyutping reading
+   *
+   * Return:
+   *
+   *   the SVG markup, or an empty string if the reading has no tone
+   */
+  function toneGlyph(jyu) {
+    
+    var func_name = "toneGlyph";
+    var tp, y1, y2;
+    
+    // Check parameter
+    if (typeof(jyu) !== "string") {
+      fault(func_name, 100);
+    }
+    
+    // Get the tone pitches
+    if (!((/[1-6]$/).test(jyu))) {
+      return "";
+    }
+    tp = TONE_PITCH[parseInt(jyu.slice(-1), 10) - 1];
+    
+    // Map pitch levels 1-5 onto a 14-pixel high box
+    y1 = 13 - ((tp[0] - 1) * 3);
+    y2 = 13 - ((tp[1] - 1) * 3);
+    
+    // Build the glyph
+    return "<svg class=\"tglyph\" width=\"12\" height=\"14\" " +
+            "viewBox=\"0 0 12 14\" aria-hidden=\"true\">" +
+            "<polyline points=\"11,1 11,13\" />" +
+            "<polyline points=\"1," + y1.toString(10) + " 9," +
+              y2.toString(10) + "\" />" +
+            "</svg>";
+  }
+
+  /*
+   * Format a Jyutping reading for display in a result table according
+   * to the current romanization setting, followed by a pitch-contour
+   * glyph of its tone.
+   *
+   * If the reading can't be converted to the selected romanization, it
+   * is shown in Jyutping regardless of the setting.
+   *
+   * Parameters:
+   *
+   *   jyu : string - the Jyutping reading
+   *
+   * Return:
+   *
+   *   the HTML for the reading
+   */
+  function fmtReading(jyu) {
+    
+    var func_name = "fmtReading";
+    var y;
+    
+    // Check parameter
+    if (typeof(jyu) !== "string") {
+      fault(func_name, 100);
+    }
+    
+    // Jyutping needs no conversion
+    if (m_roman === "jyu") {
+      return htmlEsc(jyu) + toneGlyph(jyu);
+    }
+    
+    // Convert to the selected romanization, falling back to Jyutping if
+    // not possible
+    if (m_roman === "ipa") {
+      y = ctt_main.jyutpingToIPA(jyu);
+    } else {
+      y = ctt_main.jyutpingToYale(jyu);
+    }
+    if (y === null) {
+      return htmlEsc(jyu) + toneGlyph(jyu);
+    }
+    
+    // Format according to setting
+    if (m_roman === "both") {
+      return htmlEsc(y) + " (" + htmlEsc(jyu) + ")" + toneGlyph(jyu);
+    } else if (m_roman === "ipa") {
+      return "<span class=\"ipa\">" + htmlEsc(y) + "</span>" +
+              toneGlyph(jyu);
+    } else {
+      return htmlEsc(y) + toneGlyph(jyu);
+    }
+  }
+
+  /*
+   * Generate the HTML for the paging controls of a word result list.
+   *
+   * The controls show the range of results currently displayed and the
+   * total number of results, along with links to the previous and next
+   * pages when those pages exist.
+   *
+   * Parameters:
+   *
+   *   total : number(int) - the total number of results
+   *
+   *   offset : number(int) - the index of the first displayed result
+   *
+   *   count : number(int) - the number of displayed results
+   *
+   * Return:
+   *
+   *   the HTML for the paging controls
+   */
+  function pageNav(total, offset, count) {
+    
+    var func_name = "pageNav";
+    var str, p;
+    
+    // Check parameters
+    if ((typeof(total) !== "number") ||
+        (typeof(offset) !== "number") ||
+        (typeof(count) !== "number")) {
+      fault(func_name, 100);
+    }
+    
+    // Begin the paging controls with the displayed range
+    str = "<p class=\"pnav\">";
+    str = str + "Results " + String(offset + 1) + "&ndash;" +
+                String(offset + count) + " of " + String(total);
+    
+    // Add a link to the previous page, if there is one
+    if (offset > 0) {
+      p = offset - WORD_PAGE_SIZE;
+      if (p < 0) {
+        p = 0;
+      }
+      str = str + " <a href=\"javascript:void ctt_html.pageWord(";
+      str = str + String(p);
+      str = str + ");\">[&nbsp;Previous&nbsp;]</a>";
+    }
+    
+    // Add a link to the next page, if there is one
+    if (offset + count < total) {
+      str = str + " <a href=\"javascript:void ctt_html.pageWord(";
+      str = str + String(offset + count);
+      str = str + ");\">[&nbsp;Next&nbsp;]</a>";
+    }
+    
+    // Finish the paging controls
+    str = str + "</p>";
+    
+    // Return the controls
+    return str;
+  }
+
+  /*
+   * Describe a syllable error returned by ctt_main.parseSyllable() in a
+   * sentence that can be shown to the user.
+   *
+   * Parameters:
+   *
+   *   pe : object - the error object
+   *
+   * Return:
+   *
+   *   the error message
+   */
+  function sylError(pe) {
+    
+    var func_name = "sylError";
+    var sn;
+    
+    // Check parameter
+    if ((typeof(pe) !== "object") || (!("error" in pe))) {
+      fault(func_name, 100);
+    }
+    
+    // Get the name of the system
+    if (pe.system === "jyu") {
+      sn = "Jyutping";
+    } else if (pe.system === "yale") {
+      sn = "Yale";
+    } else if (pe.system === "ynum") {
+      sn = "numeric Yale";
+    } else if (pe.system === "cp") {
+      sn = "Cantonese Pinyin";
+    } else if (pe.system === "sl") {
+      sn = "Sidney Lau";
+    } else {
+      fault(func_name, 110);
+    }
+    
+    // Describe the error
+    if (pe.error === "initial") {
+      return "\u201c" + pe.part + "\u201d is not a valid initial in " +
+              sn + ".";
+    
+    } else if (pe.error === "final") {
+      return "\u201c" + pe.part + "\u201d is not a valid final in " +
+              sn + ".";
+    
+    } else if ((pe.error === "tone") &&
+               (!((/^[0-9]$/).test(pe.part)))) {
+      return "\u201c" + pe.part + "\u201d has tone marks that are " +
+              "not valid in " + sn + ".";
+    
+    } else if (pe.error === "tone") {
+      return "\u201c" + pe.part + "\u201d is not a valid tone in " +
+              sn + "; use 1 to 6.";
+    
+    } else {
+      return "\u201c" + pe.part + "\u201d can't be read as a " +
+              "syllable in " + sn + ".";
+    }
+  }
+
+  /*
+   * Generate the HTML for a list of "did you mean" suggestions.
+   *
+   * Each suggestion is a link that runs the query again with that
+   * suggestion, through pickSuggestion().
+   *
+   * Parameters:
+   *
+   *   sa : array of strings - the suggestions
+   *
+   * Return:
+   *
+   *   the HTML for the suggestions, or empty string if there are none
+   */
+  function suggestHTML(sa) {
+    
+    var func_name = "suggestHTML";
+    var str, i;
+    
+    // Check parameter
+    if (!(sa instanceof Array)) {
+      fault(func_name, 100);
+    }
+    
+    // Nothing to show if no suggestions
+    if (sa.length < 1) {
+      return "";
+    }
+    
+    // Build the list of links
+    str = "<p class=\"sugg\">Did you mean: ";
+    for(i = 0; i < sa.length; i++) {
+      if (i > 0) {
+        str = str + ", ";
+      }
+      str = str + "<a href=\"javascript:void ctt_html.pickSuggestion(";
+      str = str + i.toString(10);
+      str = str + ");\">";
+      str = str + htmlEsc(sa[i]);
+      str = str + "</a>";
+    }
+    str = str + "?</p>";
+    
+    // Return the HTML
+    return str;
+  }
+
+  /*
+   * Build the character results object for listCharResults() from an
+   * array of character groups in the format of ctt_main.charGroups().
+   *
+   * Each character is labelled with the syllable of its group.
+   * Characters that are not in the character database are noted, as
+   * are repeats of an earlier character in groups that did not come
+   * from a reading, such as pasted text.
+   *
+   * Parameters:
+   *
+   *   ga : array of objects - the character groups
+   *
+   * Return:
+   *
+   *   the character results object
+   */
+  function groupResults(ga) {
+    
+    var func_name = "groupResults";
+    var cpi, ce, ci, cu, da, n, i, j, k;
+    
+    // Check parameter
+    if (!(ga instanceof Array)) {
+      fault(func_name, 100);
+    }
+    
+    // Define an index object that will map base-16 codepoint value
+    // strings to their position within the ctable, and another that
+    // will map them to the row number where they were first listed for
+    // characters that are not from a reading lookup
+    ci = {};
+    cu = {};
+    
+    // Build the result object, labelling each character with the
+    // syllable of its group
+    da = {"clist": [], "ctable": [], "cgroup": [], "cnote": []};
+    for(i = 0; i < ga.length; i++) {
+      for(j = 0; j < ga[i].cpa.length; j++) {
+        // Get the key value for this codepoint
+        k = ga[i].cpa[j].toString(16).toLowerCase();
+        
+        // Start with no note
+        n = "";
+        
+        // Add to ctable if not already present
+        if (!(k in ci)) {
+          // Look for codepoint record (or -1 if none)
+          cpi = ctt_main.seekCode(ga[i].cpa[j]);
+          
+          // Get the character entry
+          if (cpi >= 0) {
+            ce = canto_chars[cpi];
+          } else {
+            ce = {"cpv": ga[i].cpa[j], "crd": []};
+          }
+          
+          // Add to character table
+          ci[k] = da.ctable.length;
+          da.ctable.push(ce);
+        }
+        
+        // Note characters that are not in the character database
+        if (ctt_main.seekCode(ga[i].cpa[j]) < 0) {
+          n = "Unknown character";
+        }
+        
+        // For characters that are not from a reading lookup, such as
+        // pasted text, note repeats of an earlier character
+        if (ga[i].syl.length < 1) {
+          if (k in cu) {
+            if (n.length > 0) {
+              n = n + "; ";
+            }
+            n = n + "Repeat of row " + String(cu[k] + 1);
+          } else {
+            cu[k] = da.clist.length;
+          }
+        }
+        
+        // Add to results
+        da.clist.push(ci[k]);
+        da.cgroup.push(ga[i].syl);
+        da.cnote.push(n);
+      }
+    }
+    
+    // Return the result object
+    return da;
+  }
+
+  /*
+   * Cancel any pending search as you type and clear the line that shows
+   * how the last one was detected.
+   *
+   * This is called when one of the query buttons is clicked, so that
+   * the search the user asked for is not replaced.
+   */
+  function stopLive() {
+    
+    var func_name = "stopLive";
+    var e;
+    
+    // Cancel the pending search
+    if (m_live !== null) {
+      clearTimeout(m_live);
+      m_live = null;
+    }
+    
+    // Clear the detection line
+    e = document.getElementById("divDetect");
+    if (e == null) {
+      fault(func_name, 100);
+    }
+    e.innerHTML = "&nbsp;";
+  }
+
+  /*
+   * Run the search as you type for the current contents of the query
+   * box.
+   *
+   * The kind of query is detected with ctt_main.detectQuery() and the
+   * matching query is run, as if the right button had been clicked.
+   */
+  function runLive() {
+    
+    var func_name = "runLive";
+    var e, eResult, dq;
+    
+    // The timer has fired
+    m_live = null;
+    
+    // Get the query box and the result DIV
+    e = document.getElementById("txtInput");
+    if (e == null) {
+      fault(func_name, 100);
+    }
+    eResult = document.getElementById("divResults");
+    if (eResult == null) {
+      fault(func_name, 110);
+    }
+    
+    // Detect the kind of query; if there is nothing, clear the results
+    dq = ctt_main.detectQuery(e.value);
+    if (dq === null) {
+      stopLive();
+      eResult.innerHTML = "&nbsp;";
+      m_last = null;
+      return;
+    }
+    
+    // Show how the query was detected
+    e = document.getElementById("divDetect");
+    if (e == null) {
+      fault(func_name, 120);
+    }
+    e.innerHTML = "Searching " + htmlEsc(KIND_NAMES[dq.kind]) +
+                  " (start with j:, y:, p:, e: or u: to choose)";
+    
+    // Run the query
+    if (dq.mode === "chr") {
+      queryChar(dq.q);
+    } else {
+      m_wquery = dq.q;
+      m_wmode = dq.mode;
+      if (m_wmode === "eng") {
+        e = document.getElementById("chkExact");
+        if (e == null) {
+          fault(func_name, 130);
+        }
+        if (e.checked) {
+          m_wmode = "engx";
+        }
+      }
+      pageWord(0);
+    }
+  }
+
+  /*
+   * Insert text into the typing box at the position of the input
+   * cursor, and move the cursor to the end of the inserted text.
+   *
+   * The position is taken from m_caret, which is updated whenever the
+   * typing box loses focus.  The suggestion strip is then updated for
+   * the new text.
+   *
+   * Parameters:
+   *
+   *   c : string - the text to insert
+   */
+  function insertText(c) {
+    
+    var func_name = "insertText";
+    var e, si, str, prefix, suffix;
+    
+    // Check parameter
+    if (typeof(c) !== "string") {
+      fault(func_name, 100);
+    }
+    
+    // Look up the typing box
+    e = document.getElementById("txtWrite");
+    if (e == null) {
+      fault(func_name, 200);
+    }
+    
+    // Get the index of the character that follows the input cursor
+    si = m_caret;
+    
+    // If this index is not an number, set it to -1
+    if (typeof si !== "number") {
+      si = -1;
+    }
+    
+    // Floor the index to an integer
+    si = Math.floor(si);
+    
+    // If not in range (including character index that would come after
+    // everything that has been typed), set to end of range
+    if ((si < 0) || (si > e.value.length)) {
+      si = e.value.length;
+    }
+    
+    // Get the string in the box
+    str = e.value;
+    
+    // Divide string into prefix and suffix
+    if (si > 0) {
+      prefix = str.slice(0, si);
+    } else {
+      prefix = "";
+    }
+    
+    if (si < str.length) {
+      suffix = str.slice(si);
+    } else {
+      suffix = "";
+    }
+    
+    // Insert the new text
+    str = prefix + c + suffix;
+    
+    // Update the typing box and move cursor to end of entered text
+    e.value = str;
+    m_caret = si + c.length;
+    
+    // Suggest what might come next
+    showPredict();
+  }
+
+  /*
+   * Update the suggestion strip under the typing box with the likely
+   * continuations of the text before the input cursor.
+   */
+  function showPredict() {
+    
+    var func_name = "showPredict";
+    var e, str, i, j, k;
+    
+    // Look up the typing box
+    e = document.getElementById("txtWrite");
+    if (e == null) {
+      fault(func_name, 100);
+    }
+    
+    // Get the continuations
+    m_pred = ctt_main.predict(e.value.slice(0, m_caret));
+    
+    // Build a link for each continuation, with all the readings of each
+    // character separated by slashes
+    str = "";
+    for(i = 0; i < m_pred.length; i++) {
+      str = str + "<a href=\"javascript:void ctt_html.predictPick(";
+      str = str + i.toString(10);
+      str = str + ");\"><span class=\"hanquote\">";
+      str = str + htmlEsc(m_pred[i].t);
+      str = str + "</span>";
+      for(j = 0; j < m_pred[i].jyu.length; j++) {
+        for(k = 0; k < m_pred[i].jyu[j].length; k++) {
+          if (k > 0) {
+            str = str + "/";
+          } else {
+            str = str + " ";
+          }
+          str = str + fmtReading(m_pred[i].jyu[j][k]);
+        }
+      }
+      str = str + "</a> ";
+    }
+    if (str.length < 1) {
+      str = "&nbsp;";
+    }
+    
+    // Update the strip
+    e = document.getElementById("divPredict");
+    if (e == null) {
+      fault(func_name, 110);
+    }
+    e.innerHTML = str;
+  }
+
+  /*
+   * Find the position on the page of the input cursor in the typing
+   * box.
+   *
+   * A hidden copy of the typing box is made with the same styling and
+   * the text up to the cursor, and the position of a marker at the end
+   * of that text is measured.
+   *
+   * Return:
+   *
+   *   object with "x" and "y" properties giving the page coordinates of
+   *   the bottom left of the cursor, in pixels
+   */
+  function caretPos() {
+    
+    var func_name = "caretPos";
+    var e, cs, em, es, r, x, y, i, p;
+    
+    // Look up the typing box
+    e = document.getElementById("txtWrite");
+    if (e == null) {
+      fault(func_name, 100);
+    }
+    
+    // Make a hidden copy with the same text layout
+    cs = window.getComputedStyle(e);
+    em = document.createElement("div");
+    for(i = 0; i < cs.length; i++) {
+      p = cs[i];
+      if ((/^(font|padding|border|letter|word)/).test(p) ||
+          (/^(line|text|tab)/).test(p)) {
+        em.style.setProperty(p, cs.getPropertyValue(p));
+      }
+    }
+    em.style.position = "absolute";
+    em.style.visibility = "hidden";
+    em.style.whiteSpace = "pre-wrap";
+    em.style.overflowWrap = "break-word";
+    em.style.boxSizing = cs.boxSizing;
+    em.style.width = cs.width;
+    
+    // Add the text up to the cursor, then a marker
+    em.textContent = e.value.slice(0, e.selectionStart);
+    es = document.createElement("span");
+    es.textContent = "\u200b";
+    em.appendChild(es);
+    
+    // Measure the marker and remove the copy
+    document.body.appendChild(em);
+    x = es.offsetLeft;
+    y = es.offsetTop + es.offsetHeight;
+    document.body.removeChild(em);
+    
+    // Convert to page coordinates
+    r = e.getBoundingClientRect();
+    return {
+      "x": r.left + window.scrollX + x - e.scrollLeft,
+      "y": r.top + window.scrollY + y - e.scrollTop
+    };
+  }
+
+  /*
+   * Show the input method popup for the current candidates, or hide it
+   * if nothing is being typed.
+   */
+  function imeShow() {
+    
+    var func_name = "imeShow";
+    var e, ca, pc, str, p, i;
+    
+    // Look up the popup
+    e = document.getElementById("divIME");
+    if (e == null) {
+      fault(func_name, 100);
+    }
+    
+    // Hide if nothing is being typed
+    if (m_ime_buf.length < 1) {
+      e.style.display = "none";
+      return;
+    }
+    
+    // Show the syllables
+    ca = m_ime_cand.cand;
+    str = "<div class=\"imebuf\">";
+    str = str + htmlEsc(m_ime_cand.syl.join(" "));
+    str = str + "</div>";
+    
+    // Show the candidates on the current page, numbered from one
+    if (ca.length > 0) {
+      pc = Math.ceil(ca.length / IME_PAGE_SIZE);
+      p = m_ime_page * IME_PAGE_SIZE;
+      for(i = p; (i < ca.length) && (i < p + IME_PAGE_SIZE); i++) {
+        str = str + "<a href=\"javascript:void ctt_html.imePick(";
+        str = str + i.toString(10);
+        str = str + ");\"><span class=\"imenum\">";
+        str = str + (i - p + 1).toString(10);
+        str = str + "</span>&nbsp;";
+        str = str + htmlEsc(ca[i].t);
+        str = str + "</a> ";
+      }
+      if (pc > 1) {
+        str = str + "<span class=\"imenum\">";
+        str = str + (m_ime_page + 1).toString(10) + "/";
+        str = str + pc.toString(10);
+        str = str + "</span>";
+      }
+    } else {
+      str = str + "<i>No candidates</i>";
+    }
+    
+    // Show the popup at the cursor
+    e.innerHTML = str;
+    p = caretPos();
+    e.style.left = p.x.toString(10) + "px";
+    e.style.top = p.y.toString(10) + "px";
+    e.style.display = "block";
+  }
+
+  /*
+   * Change what has been typed into the input method, and look up the
+   * new candidates.
+   *
+   * Parameters:
+   *
+   *   str : string - the new romanization
+   */
+  function imeSet(str) {
+    
+    var func_name = "imeSet";
+    
+    // Check parameter
+    if (typeof(str) !== "string") {
+      fault(func_name, 100);
+    }
+    
+    // Update the candidates and show them from the first page
+    m_ime_buf = str;
+    m_ime_cand = ctt_main.imeCandidates(str);
+    m_ime_page = 0;
+    imeShow();
+  }
+
+  /*
+   * Commit an input method candidate to the typing box.
+   *
+   * The syllables the candidate stands for are removed from what has
+   * been typed, and the candidates for any syllables that are left are
+   * shown.
+   *
+   * Parameters:
+   *
+   *   i : number(int) - the index of the candidate
+   */
+  function imeCommit(i) {
+    
+    var func_name = "imeCommit";
+    var e, c;
+    
+    // Check parameter and state
+    if (typeof(i) !== "number") {
+      fault(func_name, 100);
+    }
+    if ((m_ime_cand === null) || (i < 0) ||
+        (i >= m_ime_cand.cand.length)) {
+      fault(func_name, 110);
+    }
+    
+    // Look up the typing box
+    e = document.getElementById("txtWrite");
+    if (e == null) {
+      fault(func_name, 120);
+    }
+    
+    // Type the candidate at the cursor
+    c = m_ime_cand.cand[i];
+    insertText(c.t);
+    e.focus();
+    e.selectionStart = m_caret;
+    e.selectionEnd = m_caret;
+    
+    // Keep typing the syllables that are left
+    imeSet(m_ime_cand.syl.slice(c.n).join(" "));
+  }
+
+  /*
+   * Handle a key pressed in the typing box while the input method is
+   * turned on.
+   *
+   * Letters are added to what has been typed, and the candidates are
+   * shown.  A tone number 1-6 right after a letter is added too, but
+   * any other number key chooses that candidate on the page, so an
+   * apostrophe can be typed first to choose a candidate for syllables
+   * without tones.  Space chooses the first candidate, Enter types the
+   * romanization as it is, Escape cancels, Backspace deletes the last
+   * letter, and the minus and equals keys or Page Up and Page Down turn
+   * the pages.  Any other character chooses the first candidates for
+   * all the syllables that have been typed and is then typed itself.
+   *
+   * Parameters:
+   *
+   *   ev : KeyboardEvent - the key event
+   */
+  function imeKey(ev) {
+    
+    var func_name = "imeKey";
+    var e, k, n;
+    
+    // Ignore keys with modifiers
+    if (ev.ctrlKey || ev.altKey || ev.metaKey) {
+      return;
+    }
+    k = ev.key;
+    
+    // If nothing is being typed, only a letter starts the input method
+    if (m_ime_buf.length < 1) {
+      if ((/^[A-Za-z]$/).test(k)) {
+        ev.preventDefault();
+        e = document.getElementById("txtWrite");
+        if (e == null) {
+          fault(func_name, 100);
+        }
+        m_caret = e.selectionStart;
+        imeSet(k);
+      }
+      return;
+    }
+    
+    // Handle each key
+    n = m_ime_cand.cand.length;
+    if ((/^[A-Za-z']$/).test(k) ||
+        ((/^[1-6]$/).test(k) && (/[A-Za-z]$/).test(m_ime_buf))) {
+      // Letter, apostrophe or tone number
+      imeSet(m_ime_buf + k);
+    
+    } else if ((/^[1-9]$/).test(k)) {
+      // Choose a candidate on the page
+      k = (m_ime_page * IME_PAGE_SIZE) + parseInt(k, 10) - 1;
+      if (k < n) {
+        imeCommit(k);
+      }
+    
+    } else if (k === " ") {
+      // Choose the first candidate, or type the romanization if none
+      if (n > 0) {
+        imeCommit(m_ime_page * IME_PAGE_SIZE);
+      } else {
+        insertText(m_ime_buf);
+        imeSet("");
+      }
+    
+    } else if (k === "Enter") {
+      // Type the romanization as it is
+      insertText(m_ime_buf);
+      imeSet("");
+    
+    } else if (k === "Escape") {
+      // Cancel
+      imeSet("");
+    
+    } else if (k === "Backspace") {
+      // Delete the last letter
+      imeSet(m_ime_buf.slice(0, -1));
+    
+    } else if ((k === "=") || (k === "PageDown")) {
+      // Next page
+      if ((m_ime_page + 1) * IME_PAGE_SIZE < n) {
+        m_ime_page++;
+        imeShow();
+      }
+    
+    } else if ((k === "-") || (k === "PageUp")) {
+      // Previous page
+      if (m_ime_page > 0) {
+        m_ime_page--;
+        imeShow();
+      }
+    
+    } else if (k.length === 1) {
+      // Any other character chooses the first candidate until no
+      // syllables are left, typing the romanization of any syllables
+      // without candidates, and is then typed itself at the cursor
+      while (m_ime_buf.length > 0) {
+        if (m_ime_cand.cand.length > 0) {
+          imeCommit(m_ime_page * IME_PAGE_SIZE);
+        } else {
+          insertText(m_ime_buf);
+          imeSet("");
+        }
+      }
+      insertText(k);
+      e = document.getElementById("txtWrite");
+      if (e == null) {
+        fault(func_name, 200);
+      }
+      e.selectionStart = m_caret;
+      e.selectionEnd = m_caret;
+    
+    } else {
+      // Let other keys such as the arrow keys work as usual
+      return;
+    }
+    
+    // The key was used by the input method
+    ev.preventDefault();
+  }
+
+  /*
+   * Get the reading of a character in the annotated text.
+   *
+   * This is the picked reading if there is one.  Otherwise, it is all
+   * the readings of the character separated by slashes, or an empty
+   * string if the character has no readings.
+   *
+   * Parameters:
+   *
+   *   i : number(int) - the index of the segment in m_annot
+   *
+   *   j : number(int) - the index of the character in the segment
+   *
+   * Return:
+   *
+   *   the Jyutping reading
+   */
+  function annotReading(i, j) {
+    
+    var func_name = "annotReading";
+    
+    // Check state
+    if (m_annot === null) {
+      fault(func_name, 50);
+    }
+    
+    // Check parameters
+    if ((typeof(i) !== "number") || (typeof(j) !== "number")) {
+      fault(func_name, 100);
+    }
+    
+    // Get the reading
+    if (m_annot_sel[i][j] >= 0) {
+      return m_annot[i].ca[j].rd[m_annot_sel[i][j]];
+    }
+    return m_annot[i].ca[j].rd.join("/");
+  }
+
+  /*
+   * Show the annotated text in m_annot.
+   *
+   * Inline, each character with readings is shown with its reading
+   * above it, and characters with more than one reading have a list to
+   * pick the reading from, which is flagged until a reading is picked.
+   * Segments that are dictionary words are marked.  Beneath, the text
+   * is given with the readings of each segment in parentheses after it,
+   * in a box where it can be copied.
+   */
+  function annotShow() {
+    
+    var func_name = "annotShow";
+    var e, str, pt, rsa, rd, i, j, k;
+    
+    // Check state
+    if (m_annot === null) {
+      fault(func_name, 50);
+    }
+    
+    // Build the inline HTML and the plain text
+    str = "";
+    pt = "";
+    for(i = 0; i < m_annot.length; i++) {
+      // Mark dictionary words
+      if (m_annot[i].wid >= 0) {
+        str = str + "<span class=\"annword\">";
+      }
+      
+      // Add each character, with its reading if it has any
+      rsa = [];
+      for(j = 0; j < m_annot[i].ca.length; j++) {
+        rd = m_annot[i].ca[j].rd;
+        if (rd.length < 1) {
+          str = str + htmlEsc(m_annot[i].ca[j].c);
+          continue;
+        }
+        rsa.push(annotReading(i, j));
+        str = str + "<ruby>" + htmlEsc(m_annot[i].ca[j].c) + "<rt>";
+        if (rd.length > 1) {
+          if (m_annot_sel[i][j] < 0) {
+            str = str + "<select class=\"annpick\" ";
+          } else {
+            str = str + "<select ";
+          }
+          str = str + "onchange=\"ctt_html.annotPick(" +
+                  i.toString(10) + ", " + j.toString(10) +
+                  ", this.selectedIndex - 1)\">";
+          str = str + "<option>" + htmlEsc(rd.join("/")) + "</option>";
+          for(k = 0; k < rd.length; k++) {
+            if (k === m_annot_sel[i][j]) {
+              str = str + "<option selected>";
+            } else {
+              str = str + "<option>";
+            }
+            str = str + htmlEsc(rd[k]) + "</option>";
+          }
+          str = str + "</select>";
+        } else {
+          str = str + htmlEsc(rd[0]);
+        }
+        str = str + "</rt></ruby>";
+      }
+      
+      // Finish the segment
+      if (m_annot[i].wid >= 0) {
+        str = str + "</span>";
+      }
+      pt = pt + m_annot[i].t;
+      if (rsa.length > 0) {
+        pt = pt + "(" + rsa.join(" ") + ")";
+      }
+    }
+    
+    // Update the output
+    e = document.getElementById("divAnnot");
+    if (e == null) {
+      fault(func_name, 100);
+    }
+    e.innerHTML = str;
+    
+    e = document.getElementById("txtAnnot");
+    if (e == null) {
+      fault(func_name, 110);
+    }
+    e.value = pt;
+    
+    appear("divAnnotOut");
+  }
+
+  /*
+   * Get the reading of a character in the annotated text, as returned
+   * by annotReading(), in the given romanization.
+   *
+   * For Yale, each of the slash-separated readings is converted, and
+   * readings that can't be converted are kept in Jyutping.
+   *
+   * Parameters:
+   *
+   *   i : number(int) - the index of the segment in m_annot
+   *
+   *   j : number(int) - the index of the character in the segment
+   *
+   *   sys : string - "jyu" for Jyutping or "yale" for Yale
+   *
+   * Return:
+   *
+   *   the reading, or an empty string if the character has none
+   */
+  function annotRoman(i, j, sys) {
+    
+    var func_name = "annotRoman";
+    var ra, y, k;
+    
+    // Check parameter
+    if ((sys !== "jyu") && (sys !== "yale")) {
+      fault(func_name, 100);
+    }
+    
+    // Get the Jyutping reading
+    ra = annotReading(i, j);
+    if ((sys === "jyu") || (ra.length < 1)) {
+      return ra;
+    }
+    
+    // Convert to Yale where possible
+    ra = ra.split("/");
+    for(k = 0; k < ra.length; k++) {
+      y = ctt_main.jyutpingToYale(ra[k]);
+      if (y !== null) {
+        ra[k] = y;
+      }
+    }
+    return ra.join("/");
+  }
+
+  /*
+   * Get the number of columns a string takes up in monospaced text.
+   *
+   * The string is normalized to NFC and counted by codepoint.  Wide
+   * East Asian characters take two columns, combining marks such as
+   * Yale tone marks on letters without a precomposed form take none,
+   * and everything else takes one.
+   *
+   * Parameters:
+   *
+   *   str : string - the text
+   *
+   * Return:
+   *
+   *   the width in columns
+   */
+  function textWidth(str) {
+    
+    var func_name = "textWidth";
+    var ca, w, i;
+    
+    // Check parameter
+    if (typeof(str) !== "string") {
+      fault(func_name, 100);
+    }
+    
+    // Add up the width of each codepoint
+    ca = Array.from(str.normalize("NFC"));
+    w = 0;
+    for(i = 0; i < ca.length; i++) {
+      if ((/\p{M}/u).test(ca[i])) {
+        // Combining mark
+        continue;
+      }
+      if ((/[\u1100-\u115f\u2e80-\ua4cf]/).test(ca[i]) ||
+          (/[\uac00-\ud7a3\uf900-\ufaff]/).test(ca[i]) ||
+          (/[\ufe30-\ufe4f\uff00-\uff60\uffe0-\uffe6]/).test(ca[i]) ||
+          (/[\u{20000}-\u{3fffd}]/u).test(ca[i])) {
+        // Wide character
+        w = w + 2;
+      } else {
+        w = w + 1;
+      }
+    }
+    return w;
+  }
+
+  /*
+   * Export the annotated text in m_annot as an HTML document in which
+   * each character with a reading is in <ruby> markup with the reading
+   * in <rt>.
+   *
+   * Parameters:
+   *
+   *   sys : string - "jyu" for Jyutping or "yale" for Yale readings
+   *
+   * Return:
+   *
+   *   the HTML document
    */
-  var m_caret = 0;
+  function annotHTML(sys) {
+    
+    var func_name = "annotHTML";
+    var str, r, c, i, j;
+    
+    // Check state
+    if (m_annot === null) {
+      fault(func_name, 50);
+    }
+    
+    // Mark up each character
+    str = "";
+    for(i = 0; i < m_annot.length; i++) {
+      for(j = 0; j < m_annot[i].ca.length; j++) {
+        c = m_annot[i].ca[j].c;
+        r = annotRoman(i, j, sys);
+        if (c === "\n") {
+          str = str + "<br/>\n";
+        } else if (r.length < 1) {
+          str = str + htmlEsc(c);
+        } else {
+          str = str + "<ruby>" + htmlEsc(c) + "<rt>" + htmlEsc(r) +
+                  "</rt></ruby>";
+        }
+      }
+    }
+    
+    // Wrap in a document
+    return "<!DOCTYPE html>\n" +
+            "<html>\n" +
+            "  <head>\n" +
+            "    <meta charset=\"utf-8\"/>\n" +
+            "    <title>Cantotype annotation</title>\n" +
+            "  </head>\n" +
+            "  <body>\n" +
+            "<p>" + str + "</p>\n" +
+            "  </body>\n" +
+            "</html>\n";
+  }
 
   /*
-   * Local functions
-   * ===============
-   */
-  
-  /*
-   * Report an error to console and throw an exception for a fault
-   * occurring within this module.
+   * Export the annotated text in m_annot as plain interlinear text.
+   *
+   * Each line of the text becomes a line of characters followed by a
+   * line of readings, with each reading lined up under its character
+   * in a monospaced font, and a blank line after each pair.
    *
    * Parameters:
    *
-   *   func_name : string - the name of the function in this module
+   *   sys : string - "jyu" for Jyutping or "yale" for Yale readings
    *
-   *   loc : number(int) - the location within the function
+   * Return:
+   *
+   *   the interlinear text
    */
-  function fault(func_name, loc) {
+  function annotLines(sys) {
     
-    // If parameters not valid, set to unknown:0
-    if ((typeof func_name !== "string") || (typeof loc !== "number")) {
-      func_name = "unknown";
-      loc = 0;
-    }
-    loc = Math.floor(loc);
-    if (!isFinite(loc)) {
-      loc = 0;
+    var func_name = "annotLines";
+    var str, top, bot, r, c, w, rw, i, j;
+    
+    // Check state
+    if (m_annot === null) {
+      fault(func_name, 50);
     }
     
-    // Report error to console
-    console.log("Fault at " + func_name + ":" + String(loc) +
-                  " in ctt_html");
+    // Build each pair of lines
+    str = "";
+    top = "";
+    bot = "";
+    for(i = 0; i < m_annot.length; i++) {
+      for(j = 0; j < m_annot[i].ca.length; j++) {
+        c = m_annot[i].ca[j].c;
+        r = annotRoman(i, j, sys);
+        
+        // Finish the pair at the end of a line
+        if (c === "\n") {
+          str = str + top.trimEnd() + "\n" + bot.trimEnd() + "\n\n";
+          top = "";
+          bot = "";
+          continue;
+        }
+        
+        // Characters without readings have blanks under them, and the
+        // others get a column as wide as the character or the reading,
+        // measured in display columns
+        w = textWidth(c);
+        rw = textWidth(r);
+        if (r.length < 1) {
+          top = top + c;
+          bot = bot + " ".repeat(w);
+        } else {
+          top = top + c + " ".repeat(Math.max(rw - w, 0) + 1);
+          bot = bot + r + " ".repeat(Math.max(w - rw, 0) + 1);
+        }
+      }
+    }
     
-    // Throw exception
-    throw ("ctt_html:" + func_name + ":" + String(loc));
+    // Finish the last pair
+    str = str + top.trimEnd() + "\n" + bot.trimEnd() + "\n";
+    return str;
   }
 
   /*
-   * Escape a string if necessary so that it can be included within
-   * HTML markup.
+   * Export the annotated text in m_annot as JSON.
    *
-   * This first escapes & as &amp;, and then escapes < as &lt; and > as
-   * &gt;
+   * The JSON is an array with a token for each character of the text.
+   * Each token is an object with a "text" property that is the
+   * character, a "cpv" property that is its codepoint, a "readings"
+   * property that is an array of Jyutping readings, and a "word"
+   * property that is the dictionary headword the character is part of,
+   * or null if none.  The readings are the picked reading alone if one
+   * has been picked, or else all the readings of the character, which
+   * may be none.
+   *
+   * Return:
+   *
+   *   the JSON text
+   */
+  function annotJSON() {
+    
+    var func_name = "annotJSON";
+    var ta, rd, wd, i, j;
+    
+    // Check state
+    if (m_annot === null) {
+      fault(func_name, 50);
+    }
+    
+    // Build the tokens
+    ta = [];
+    for(i = 0; i < m_annot.length; i++) {
+      if (m_annot[i].wid >= 0) {
+        wd = m_annot[i].t;
+      } else {
+        wd = null;
+      }
+      for(j = 0; j < m_annot[i].ca.length; j++) {
+        rd = m_annot[i].ca[j].rd;
+        if (m_annot_sel[i][j] >= 0) {
+          rd = [rd[m_annot_sel[i][j]]];
+        }
+        ta.push({
+          "text": m_annot[i].ca[j].c,
+          "cpv": m_annot[i].ca[j].cpv,
+          "readings": rd,
+          "word": wd
+        });
+      }
+    }
+    
+    // Convert to JSON
+    return JSON.stringify(ta, null, 2) + "\n";
+  }
+
+  /*
+   * Have the browser download text as a file.
    *
    * Parameters:
    *
-   *   str : string - the string to escape
+   *   fname : string - the suggested file name
    *
-   * Return:
+   *   mime : string - the MIME type of the file
    *
-   *   the escaped string
+   *   str : string - the text of the file
    */
-  function htmlEsc(str) {
+  function downloadText(fname, mime, str) {
     
-    var func_name = "htmlEsc";
+    var func_name = "downloadText";
+    var u, e;
     
-    // Check parameter
-    if (typeof str !== "string") {
+    // Check parameters
+    if ((typeof(fname) !== "string") || (typeof(mime) !== "string") ||
+        (typeof(str) !== "string")) {
       fault(func_name, 100);
     }
     
-    // Replace ampersand
-    str = str.replace(/&/g, "&amp;");
+    // Get an object URL for the text
+    u = URL.createObjectURL(new Blob([str], {"type": mime}));
     
-    // Replace markup characters
-    str = str.replace(/</g, "&lt;");
-    str = str.replace(/>/g, "&gt;");
+    // Click a temporary download link for it
+    e = document.createElement("a");
+    e.setAttribute("href", u);
+    e.setAttribute("download", fname);
+    document.body.appendChild(e);
+    e.click();
+    document.body.removeChild(e);
     
-    // Return escaped string
-    return str;
+    // Release the URL once the browser has had time to read it
+    setTimeout(
+      function() {
+        URL.revokeObjectURL(u);
+      },
+      REVOKE_DELAY
+    );
   }
 
   /*
@@ -169,7 +1610,6 @@
   function typeChar(c) {
     
     var func_name = "typeChar";
-    var e, si, str, prefix, suffix;
     
     // Check parameter
     if (typeof(c) !== "number") {
@@ -192,51 +1632,224 @@
     // Convert character to string
     c = String.fromCodePoint(c);
     
+    // Type the character
+    insertText(c);
+  }
+
+  /*
+   * Event handler for when the input method is turned on or off.
+   *
+   * Turning it off types whatever romanization has not been committed.
+   *
+   * Parameters:
+   *
+   *   on : boolean - true to turn on the input method
+   */
+  function setIME(on) {
+    
+    var func_name = "setIME";
+    
+    // Check parameter
+    if (typeof(on) !== "boolean") {
+      fault(func_name, 100);
+    }
+    
+    // Type anything not committed and hide the popup
+    if (m_ime_buf.length > 0) {
+      insertText(m_ime_buf);
+      imeSet("");
+    }
+    
+    // Update the setting
+    m_ime = on;
+  }
+
+  /*
+   * Event handler for when an input method candidate is clicked.
+   *
+   * Parameters:
+   *
+   *   i : number(int) - the index of the candidate
+   */
+  function imePick(i) {
+    
+    var func_name = "imePick";
+    
+    // Check parameter
+    if (typeof(i) !== "number") {
+      fault(func_name, 100);
+    }
+    
+    // Commit the candidate
+    imeCommit(i);
+  }
+
+  /*
+   * Event handler for when a continuation in the suggestion strip is
+   * clicked, which types it at the input cursor.
+   *
+   * Parameters:
+   *
+   *   i : number(int) - the index of the continuation
+   */
+  function predictPick(i) {
+    
+    var func_name = "predictPick";
+    var e;
+    
+    // Check parameter
+    if (typeof(i) !== "number") {
+      fault(func_name, 100);
+    }
+    if ((i < 0) || (i >= m_pred.length)) {
+      fault(func_name, 110);
+    }
+    
     // Look up the typing box
     e = document.getElementById("txtWrite");
     if (e == null) {
-      fault(func_name, 200);
+      fault(func_name, 120);
     }
     
-    // Get the index of the character that follows the input cursor
-    si = m_caret;
+    // Type the continuation and put the cursor after it
+    insertText(m_pred[i].t);
+    e.focus();
+    e.selectionStart = m_caret;
+    e.selectionEnd = m_caret;
+  }
 
-    // If this index is not an number, set it to -1
-    if (typeof si !== "number") {
-      si = -1;
+  /*
+   * Event handler for the Annotate button of the typing box, which
+   * shows the text in the typing box annotated with its readings.
+   */
+  function annotateText() {
+    
+    var func_name = "annotateText";
+    var e, sa, i, j;
+    
+    // Look up the typing box
+    e = document.getElementById("txtWrite");
+    if (e == null) {
+      fault(func_name, 100);
     }
     
-    // Floor the index to an integer
-    si = Math.floor(si);
+    // Annotate the text, picking the readings of characters that only
+    // have one
+    m_annot = ctt_main.annotate(e.value);
+    m_annot_sel = [];
+    for(i = 0; i < m_annot.length; i++) {
+      sa = [];
+      for(j = 0; j < m_annot[i].ca.length; j++) {
+        if (m_annot[i].ca[j].rd.length === 1) {
+          sa.push(0);
+        } else {
+          sa.push(-1);
+        }
+      }
+      m_annot_sel.push(sa);
+    }
     
-    // If not in range (including character index that would come after
-    // everything that has been typed), set to end of range
-    if ((si < 0) || (si > e.value.length)) {
-      si = e.value.length;
+    // Show the annotation
+    annotShow();
+  }
+
+  /*
+   * Event handler for when a reading is picked for an ambiguous
+   * character in the annotated text.
+   *
+   * Parameters:
+   *
+   *   i : number(int) - the index of the segment
+   *
+   *   j : number(int) - the index of the character in the segment
+   *
+   *   k : number(int) - the index of the reading, or -1 to unpick
+   */
+  function annotPick(i, j, k) {
+    
+    var func_name = "annotPick";
+    
+    // Check state
+    if (m_annot === null) {
+      fault(func_name, 50);
     }
     
-    // Get the string in the box
-    str = e.value;
+    // Check parameters
+    if ((typeof(i) !== "number") || (typeof(j) !== "number") ||
+        (typeof(k) !== "number")) {
+      fault(func_name, 100);
+    }
+    if ((i < 0) || (i >= m_annot.length) ||
+        (j < 0) || (j >= m_annot[i].ca.length) ||
+        (k < -1) || (k >= m_annot[i].ca[j].rd.length)) {
+      fault(func_name, 110);
+    }
     
-    // Divide string into prefix and suffix
-    if (si > 0) {
-      prefix = str.slice(0, si);
-    } else {
-      prefix = "";
+    // Update the pick and the annotation
+    m_annot_sel[i][j] = k;
+    annotShow();
+  }
+
+  /*
+   * Event handler for the Copy button of the annotated text, which
+   * selects the plain annotated text and copies it to the clipboard
+   * where the browser allows.
+   */
+  function copyAnnot() {
+    
+    var func_name = "copyAnnot";
+    var e;
+    
+    // Look up the text box
+    e = document.getElementById("txtAnnot");
+    if (e == null) {
+      fault(func_name, 100);
     }
     
-    if (si < str.length) {
-      suffix = str.slice(si);
-    } else {
-      suffix = "";
+    // Select the text so it can be copied by hand, and copy it if the
+    // clipboard is available
+    e.select();
+    if (navigator.clipboard) {
+      navigator.clipboard.writeText(e.value).catch(function() {
+        // The browser refused, so leave the text selected for copying
+        // by hand
+      });
     }
+  }
+
+  /*
+   * Event handler for the Download button of the annotated text, which
+   * downloads it in the format and romanization that are selected.
+   */
+  function exportAnnot() {
     
-    // Insert the new codepoint
-    str = prefix + c + suffix;
+    var func_name = "exportAnnot";
+    var eFmt, eRoman;
     
-    // Update the typing box and move cursor to end of entered text
-    e.value = str;
-    m_caret = si + c.length;
+    // Check state
+    if (m_annot === null) {
+      fault(func_name, 50);
+    }
+    
+    // Get the selections
+    eFmt = document.getElementById("selExport");
+    eRoman = document.getElementById("selExportRoman");
+    if ((eFmt == null) || (eRoman == null)) {
+      fault(func_name, 100);
+    }
+    
+    // Download in the selected format
+    if (eFmt.value === "html") {
+      downloadText("cantotype.html", "text/html",
+                    annotHTML(eRoman.value));
+    } else if (eFmt.value === "txt") {
+      downloadText("cantotype.txt", "text/plain",
+                    annotLines(eRoman.value));
+    } else if (eFmt.value === "json") {
+      downloadText("cantotype.json", "application/json", annotJSON());
+    } else {
+      fault(func_name, 200);
+    }
   }
 
   /*
@@ -375,6 +1988,22 @@
    * Note that the "ctable" format is the exact same as the "ctable"
    * format used in listWordResults.
    *
+   * The da parameter may optionally have a "cgroup" property, which is
+   * an array of strings with the same length as "clist".  Each string
+   * is the group label of the corresponding "clist" element.  Whenever
+   * the label changes to a non-empty value, a header row with that
+   * label is inserted before the character.
+   *
+   * The da parameter may also optionally have a "cnote" property, which
+   * is an array of strings with the same length as "clist".  Each
+   * non-empty string is a note shown with the corresponding character,
+   * such as a note that the character is unknown.
+   *
+   * Finally, the da parameter may optionally have a "cerr" property,
+   * which is a string explaining why there are no results, and a "sugg"
+   * property, which is an array of suggested queries.  These are shown
+   * along with the usual message when "clist" is empty.
+   * 
    * Parameters:
    *
    *   da : object - the character results to list
@@ -382,7 +2011,7 @@
   function listCharResults(da) {
     
     var func_name = "listCharResults";
-    var str, i, j, ce, eResult;
+    var str, i, j, ce, eResult, glabel;
     
     // Check parameter
     if (typeof(da) !== "object") {
@@ -395,16 +2024,57 @@
         (!(da.ctable instanceof Array))) {
       fault(func_name, 120);
     }
-    for(i = 0; i < da.clist.length; i++) {
-      if (typeof(da.clist[i]) !== "number") {
-        fault(func_name, 130);
+    for(i = 0; i < da.clist.length; i++) {
+      if (typeof(da.clist[i]) !== "number") {
+        fault(func_name, 130);
+      }
+      if (!isFinite(da.clist[i])) {
+        fault(func_name, 140);
+      }
+      da.clist[i] = Math.floor(da.clist[i]);
+      if ((da.clist[i] < 0) || (da.clist[i] >= da.ctable.length)) {
+        fault(func_name, 150);
+      }
+    }
+    if ("cgroup" in da) {
+      if (!(da.cgroup instanceof Array)) {
+        fault(func_name, 152);
+      }
+      if (da.cgroup.length !== da.clist.length) {
+        fault(func_name, 154);
+      }
+      for(i = 0; i < da.cgroup.length; i++) {
+        if (typeof(da.cgroup[i]) !== "string") {
+          fault(func_name, 156);
+        }
+      }
+    }
+    if ("cnote" in da) {
+      if (!(da.cnote instanceof Array)) {
+        fault(func_name, 157);
+      }
+      if (da.cnote.length !== da.clist.length) {
+        fault(func_name, 158);
+      }
+      for(i = 0; i < da.cnote.length; i++) {
+        if (typeof(da.cnote[i]) !== "string") {
+          fault(func_name, 159);
+        }
+      }
+    }
+    if ("cerr" in da) {
+      if (typeof(da.cerr) !== "string") {
+        fault(func_name, 155);
       }
-      if (!isFinite(da.clist[i])) {
-        fault(func_name, 140);
+    }
+    if ("sugg" in da) {
+      if (!(da.sugg instanceof Array)) {
+        fault(func_name, 151);
       }
-      da.clist[i] = Math.floor(da.clist[i]);
-      if ((da.clist[i] < 0) || (da.clist[i] >= da.ctable.length)) {
-        fault(func_name, 150);
+      for(i = 0; i < da.sugg.length; i++) {
+        if (typeof(da.sugg[i]) !== "string") {
+          fault(func_name, 153);
+        }
       }
     }
     for(i = 0; i < da.ctable.length; i++) {
@@ -448,16 +2118,31 @@
       fault(func_name, 300);
     }
     
+    // Remember these results in case they need to be listed again
+    m_last = {"f": listCharResults, "da": da};
+    
     // Build the HTML results from the object
     if (da.clist.length > 0) {
       // At least one result, so begin results table
       str = "<table class=\"rtable\">";
       
       // Add each result
+      glabel = "";
       for(i = 0; i < da.clist.length; i++) {
         // Get the character entry
         ce = da.ctable[da.clist[i]];
         
+        // If there are group labels and the label has changed to a
+        // non-empty value, add a group header row
+        if ("cgroup" in da) {
+          if ((da.cgroup[i] !== glabel) && (da.cgroup[i].length > 0)) {
+            str = str + "<tr><th class=\"cgrp\" colspan=\"4\">";
+            str = str + htmlEsc(da.cgroup[i]);
+            str = str + "</th></tr>";
+          }
+          glabel = da.cgroup[i];
+        }
+        
         // Add character and codepoint, with codepoint being a link that
         // types the character
         str = str + "<tr><td class=\"han\">";
@@ -477,7 +2162,7 @@
             if (j > 0) {
               str = str + ", ";
             }
-            str = str + ce.crd[j];
+            str = str + fmtReading(ce.crd[j]);
           }
           
         } else {
@@ -493,6 +2178,24 @@
           str = str + "&nbsp;";
         }
         
+        // Add note, if there is one
+        if ("cnote" in da) {
+          if (da.cnote[i].length > 0) {
+            str = str + " <span class=\"cnote\">[";
+            str = str + htmlEsc(da.cnote[i]);
+            str = str + "]</span>";
+          }
+        }
+        
+        // Add links that list the dictionary words with the character
+        // and the homophones of the character
+        str = str + " <a href=\"javascript:void ctt_html.wordsWith(";
+        str = str + (ce.cpv).toString(10);
+        str = str + ");\">[&nbsp;Words&nbsp;]</a>";
+        str = str + " <a href=\"javascript:void ctt_html.homophonesOf(";
+        str = str + (ce.cpv).toString(10);
+        str = str + ");\">[&nbsp;Homophones&nbsp;]</a>";
+        
         // Finish row
         str = str + "</td></tr>";
       }
@@ -501,8 +2204,15 @@
       str = str + "</table>";
       
     } else {
-      // No results
-      str = "<p>No matches found!</p>";
+      // No results, with an explanation and suggestions if available
+      str = "<p>No matches found!";
+      if ("cerr" in da) {
+        str = str + "  " + htmlEsc(da.cerr);
+      }
+      str = str + "</p>";
+      if ("sugg" in da) {
+        str = str + suggestHTML(da.sugg);
+      }
     }
     
     // Update results
@@ -524,6 +2234,8 @@
    *   "py" - array of Pinyin syllable strings
    *   "df" - array of English gloss strings (might include Chinese!)
    *   "cc" - array of character code indices
+   *   "rs" - relevance score of the entry, or property not defined if
+   *          there is no score
    *
    * The "cc" array contains array indices into the "ctable" for the
    * component characters that should be displayed for this entry.
@@ -540,6 +2252,15 @@
    * Note that the "ctable" format is the exact same as the "ctable"
    * format used in listWordResults.
    *
+   * The da parameter may optionally have "total" and "offset"
+   * properties, which are integers giving the total number of results
+   * across all pages and the index of the first result in "wlist"
+   * within all those results.  If these are present, paging controls
+   * are shown before and after the results.
+   * 
+   * The da parameter may also optionally have a "sugg" property, which
+   * is an array of suggested queries shown when "wlist" is empty.
+   * 
    * Parameters:
    *
    *   da : object - the word results to list
@@ -588,6 +2309,11 @@
           fault(func_name, 137);
         }
       }
+      if ("rs" in da.wlist[i]) {
+        if (typeof(da.wlist[i].rs) !== "number") {
+          fault(func_name, 139);
+        }
+      }
       for(j = 0; j < da.wlist[i].cc.length; j++) {
         if (typeof(da.wlist[i].cc[j]) !== "number") {
           fault(func_name, 138);
@@ -637,14 +2363,50 @@
       }
     }
     
+    if (("total" in da) || ("offset" in da)) {
+      if ((!("total" in da)) || (!("offset" in da))) {
+        fault(func_name, 240);
+      }
+      if ((typeof(da.total) !== "number") ||
+          (typeof(da.offset) !== "number")) {
+        fault(func_name, 250);
+      }
+      if ((!isFinite(da.total)) || (!isFinite(da.offset))) {
+        fault(func_name, 260);
+      }
+      da.total = Math.floor(da.total);
+      da.offset = Math.floor(da.offset);
+      if ((da.offset < 0) ||
+          (da.offset + da.wlist.length > da.total)) {
+        fault(func_name, 270);
+      }
+    }
+    if ("sugg" in da) {
+      if (!(da.sugg instanceof Array)) {
+        fault(func_name, 280);
+      }
+      for(i = 0; i < da.sugg.length; i++) {
+        if (typeof(da.sugg[i]) !== "string") {
+          fault(func_name, 290);
+        }
+      }
+    }
+    
     // Get the result DIV
     eResult = document.getElementById("divResults");
     if (eResult == null) {
       fault(func_name, 300);
     }
     
-    // Build HTML results string
+    // Remember these results in case they need to be listed again
+    m_last = {"f": listWordResults, "da": da};
+    
+    // Build HTML results string, beginning with paging controls if
+    // there is paging information
     str = "";
+    if (("total" in da) && (da.wlist.length > 0)) {
+      str = str + pageNav(da.total, da.offset, da.wlist.length);
+    }
     if (da.wlist.length > 0) {
       // Matches found, so add each result
       for(i = 0; i < da.wlist.length; i++) {
@@ -660,8 +2422,11 @@
           str = str + " (" + htmlEsc(da.wlist[i].sc) + ")";
         }
         
-        // Finish the headword span and line break
-        str = str + "</span><br/>";
+        // Finish the headword span
+        str = str + "</span>";
+        
+        // Line break after the headword
+        str = str + "<br/>";
         
         // Now all the word definitions, with multiple definitions
         // separated by semicolons
@@ -728,7 +2493,7 @@
                 if (k > 0) {
                   str = str + ", ";
                 }
-                str = str + ce.crd[k];
+                str = str + fmtReading(ce.crd[k]);
               }
             } else {
               str = str + "&nbsp;"
@@ -763,20 +2528,75 @@
     } else {
       // No matches
       str = "<p>No matches found!</p>";
+      if ("sugg" in da) {
+        str = str + suggestHTML(da.sugg);
+      }
+    }
+    
+    // Finish with paging controls if there is paging information
+    if (("total" in da) && (da.wlist.length > 0)) {
+      str = str + pageNav(da.total, da.offset, da.wlist.length);
     }
     
     // Update results
     eResult.innerHTML = str;
   }
 
+  /*
+   * Event handler for when the romanization setting is changed.
+   *
+   * The setting is saved in local storage if available, and the current
+   * results are listed again with the new setting.
+   *
+   * Parameters:
+   *
+   *   v : string - "jyu", "yale", "both" or "ipa"
+   */
+  function setRoman(v) {
+    
+    var func_name = "setRoman";
+    
+    // Check parameter
+    if (typeof(v) !== "string") {
+      fault(func_name, 100);
+    }
+    if ((v !== "jyu") && (v !== "yale") && (v !== "both") &&
+        (v !== "ipa")) {
+      fault(func_name, 110);
+    }
+    
+    // Update setting
+    m_roman = v;
+    
+    // Save the setting; local storage may be unavailable, in which case
+    // the setting only lasts for this session
+    try {
+      localStorage.setItem("cantotype_roman", v);
+    } catch (ex) {
+      console.log("Can't save romanization setting");
+    }
+    
+    // List the current results again
+    if (m_last !== null) {
+      m_last.f(m_last.da);
+    }
+  }
+
   /*
    * Event handler for when the query character button is clicked.
+   *
+   * This is also used by the search as you type, which passes the query
+   * to run instead of the contents of the query box.
+   *
+   * Parameters:
+   *
+   *   q : string - (optional) the query to run
    */
-  function queryChar() {
+  function queryChar(q) {
     
     var func_name = "queryChar";
     var e, eResult;
-    var q, cpa, cpi, ce, da, i;
+    var ga, da, pe;
     
     // Get the result DIV
     eResult = document.getElementById("divResults");
@@ -787,32 +2607,36 @@
     // Clear results
     eResult.innerHTML = "&nbsp;";
     
-    // Get the query word
-    e = document.getElementById("txtInput");
-    if (e == null) {
-      fault(func_name, 110);
+    // Get the query word from the query box if it was not given, which
+    // means the button was clicked
+    if (q === undefined) {
+      e = document.getElementById("txtInput");
+      if (e == null) {
+        fault(func_name, 110);
+      }
+      q = e.value;
+      stopLive();
+    }
+    if (typeof(q) !== "string") {
+      fault(func_name, 120);
     }
-    q = e.value;
     
     // Perform the character query
-    cpa = ctt_main.charQuery(q);
+    ga = ctt_main.charGroups(q);
     
     // Build the result object
-    da = {"clist": [], "ctable": []};
-    for(i = 0; i < cpa.length; i++) {
-      // Look for codepoint record (or -1 if none)
-      cpi = ctt_main.seekCode(cpa[i]);
-      
-      // Get the character entry
-      if (cpi >= 0) {
-        ce = canto_chars[cpi];
-      } else {
-        ce = {"cpv": cpa[i], "crd": []};
+    da = groupResults(ga);
+    
+    // If nothing was found for what looks like a single romanized
+    // syllable, explain what is wrong with it, if anything
+    q = q.trim();
+    if ((ga.length < 1) && (q.length > 0) && (!((/\s/).test(q))) &&
+        (!((/^u[0-9a-f]{4,6}$/i).test(q)))) {
+      pe = ctt_main.parseSyllable(q);
+      if ("error" in pe) {
+        da.cerr = sylError(pe);
       }
-      
-      // Add to results
-      da.clist.push(i);
-      da.ctable.push(ce);
+      da.sugg = ctt_main.suggest(q, "chr");
     }
     
     // Print results
@@ -824,37 +2648,213 @@
    */
   function queryWord() {
     
-    var func_name = "queryChar";
-    var e, eResult;
-    var q, dwi, da, dr, c, ca, ce, ci, cpi, ccount, i, j, k;
+    var func_name = "queryWord";
+    var e;
     
-    // Get the result DIV
-    eResult = document.getElementById("divResults");
-    if (eResult == null) {
-      fault(func_name, 100);
+    // Get the query word
+    e = document.getElementById("txtInput");
+    if (e == null) {
+      fault(func_name, 110);
     }
+    stopLive();
+    m_wquery = e.value;
     
-    // Clear results
-    eResult.innerHTML = "&nbsp;";
+    // Use exact English matching if the box is checked, else match by
+    // stem
+    e = document.getElementById("chkExact");
+    if (e == null) {
+      fault(func_name, 120);
+    }
+    if (e.checked) {
+      m_wmode = "engx";
+    } else {
+      m_wmode = "eng";
+    }
     
-    // Get the query word
+    // Show the first page
+    pageWord(0);
+  }
+
+  /*
+   * Event handler for when the query reading button is clicked.
+   */
+  function queryReading() {
+    
+    var func_name = "queryReading";
+    var e;
+    
+    // Get the query reading
     e = document.getElementById("txtInput");
     if (e == null) {
       fault(func_name, 110);
     }
-    q = e.value;
+    stopLive();
+    
+    // Remember the query for paging and show the first page
+    m_wquery = e.value;
+    m_wmode = "jyu";
+    pageWord(0);
+  }
+
+  /*
+   * Event handler for when the query Pinyin button is clicked.
+   */
+  function queryPinyin() {
     
-    // Perform the query
-    dwi = ctt_main.wordQuery(q);
+    var func_name = "queryPinyin";
+    var e;
     
-    // If too many matches found, report the error and proceed no
-    // further
-    if ((dwi.length === 1) && (dwi[0] === -1)) {
-      // Too many matches found
-      eResult.innerHTML = "<p>Too many matches found!</p>";
-      return;
+    // Get the query Pinyin
+    e = document.getElementById("txtInput");
+    if (e == null) {
+      fault(func_name, 110);
+    }
+    stopLive();
+    
+    // Remember the query for paging and show the first page
+    m_wquery = e.value;
+    m_wmode = "pin";
+    pageWord(0);
+  }
+
+  /*
+   * Event handler for when the homophones button is clicked.
+   *
+   * The query may be a character or a reading.  Near-homophones are
+   * included if the box for them is checked.
+   *
+   * Parameters:
+   *
+   *   q : string - (optional) the query to run instead of the contents
+   *   of the query box
+   */
+  function queryHomophones(q) {
+    
+    var func_name = "queryHomophones";
+    var e, ga, da;
+    
+    // Get the query from the query box if it was not given
+    if (q === undefined) {
+      e = document.getElementById("txtInput");
+      if (e == null) {
+        fault(func_name, 100);
+      }
+      q = e.value;
+    }
+    if (typeof(q) !== "string") {
+      fault(func_name, 110);
+    }
+    stopLive();
+    
+    // Find the homophones
+    e = document.getElementById("chkNear");
+    if (e == null) {
+      fault(func_name, 120);
+    }
+    ga = ctt_main.homophones(q, e.checked);
+    
+    // Label each group with its syllable and how it relates to the
+    // query
+    ga = ga.map(x => ({
+      "syl": x.syl + " (" + REL_NAMES[x.rel] + ")",
+      "cpa": x.cpa
+    }));
+    
+    // Print results
+    da = groupResults(ga);
+    listCharResults(da);
+  }
+
+  /*
+   * Event handler for when the link to list the homophones of a
+   * character is clicked.
+   *
+   * Parameters:
+   *
+   *   cpv : number(int) - the codepoint of the character
+   */
+  function homophonesOf(cpv) {
+    
+    var func_name = "homophonesOf";
+    
+    // Check parameter
+    if (typeof(cpv) !== "number") {
+      fault(func_name, 100);
+    }
+    
+    // Look up the character
+    queryHomophones(String.fromCodePoint(cpv));
+  }
+
+  /*
+   * Event handler for when the link to list the dictionary words that
+   * use a character is clicked.
+   *
+   * Parameters:
+   *
+   *   cpv : number(int) - the codepoint of the character
+   */
+  function wordsWith(cpv) {
+    
+    var func_name = "wordsWith";
+    
+    // Check parameter
+    if (typeof(cpv) !== "number") {
+      fault(func_name, 100);
+    }
+    
+    // Remember the query for paging and show the first page
+    stopLive();
+    m_wquery = String.fromCodePoint(cpv);
+    m_wmode = "chw";
+    pageWord(0);
+  }
+
+  /*
+   * Event handler for input in the query box, which runs the search as
+   * you type once the user stops typing for LIVE_DELAY milliseconds.
+   */
+  function liveSearch() {
+    
+    // Restart the timer
+    if (m_live !== null) {
+      clearTimeout(m_live);
+    }
+    m_live = setTimeout(runLive, LIVE_DELAY);
+  }
+
+  /*
+   * Event handler for showing a page of results from the most recent
+   * word query.
+   *
+   * Parameters:
+   *
+   *   offset : number(int) - the index of the first result to show
+   */
+  function pageWord(offset) {
+    
+    var func_name = "pageWord";
+    var eResult;
+    var pg, dwi, da, dr, c, ca, ce, ci, cpi, ccount, i, j, k;
+    
+    // Check parameter
+    if (typeof(offset) !== "number") {
+      fault(func_name, 50);
+    }
+    
+    // Get the result DIV
+    eResult = document.getElementById("divResults");
+    if (eResult == null) {
+      fault(func_name, 100);
     }
     
+    // Clear results
+    eResult.innerHTML = "&nbsp;";
+    
+    // Perform the query for the requested page
+    pg = ctt_main.wordPage(m_wquery, m_wmode, offset, WORD_PAGE_SIZE);
+    dwi = pg.wids;
+    
     // Define an index object that will map base-16 codepoint value
     // strings to their position within the ctable, and add a counter of
     // how many character entries have been defined so far
@@ -862,12 +2862,17 @@
     ccount = 0;
     
     // Build the results object
-    da = {"wlist": [], "ctable": []};
+    da = {
+      "wlist": [],
+      "ctable": [],
+      "total": pg.total,
+      "offset": pg.offset
+    };
     for(i = 0; i < dwi.length; i++) {
       // Get the dictionary record
       dr = canto_words[dwi[i]];
       
-      // Get all the (traditional) characters as an array of codepoints
+      // Get all the traditional characters as an array of codepoints
       ca = [];
       for(j = 0; j < dr[0].length; j++) {
         c = dr[0].codePointAt(j);
@@ -877,6 +2882,18 @@
         }
       }
       
+      // Add any simplified characters that are not also traditional
+      // characters, so every character of the headword has a row
+      for(j = 0; j < dr[1].length; j++) {
+        c = dr[1].codePointAt(j);
+        if (ca.indexOf(c) < 0) {
+          ca.push(c);
+        }
+        if (c >= 0x10000) {
+          j++;
+        }
+      }
+      
       // For each codepoint in the codepoint array, add it to the
       // character table if not already present, and then replace it in
       // the codepoint array with an index into the ctable
@@ -918,14 +2935,111 @@
         "sc": dr[1],
         "py": dr[2],
         "df": dr[3],
-        "cc": ca
+        "cc": ca,
+        "rs": pg.scores[i]
       });
     }
     
+    // If there are no results for an English query, suggest
+    // corrections
+    if ((pg.total < 1) &&
+        ((m_wmode === "eng") || (m_wmode === "engx"))) {
+      da.sugg = ctt_main.suggest(m_wquery, "eng");
+    }
+    
     // Print the results
     listWordResults(da);
   }
 
+  /*
+   * Public function for handling a click on a "did you mean"
+   * suggestion.
+   * 
+   * The suggestion replaces the query in the input box, and the same
+   * kind of query that produced the suggestion is run again.
+   * 
+   * Parameters:
+   * 
+   *   i : number(int) - the index of the suggestion
+   */
+  function pickSuggestion(i) {
+    
+    var func_name = "pickSuggestion";
+    var e, q;
+    
+    // Check parameter and state
+    if (typeof(i) !== "number") {
+      fault(func_name, 100);
+    }
+    if (m_last === null) {
+      fault(func_name, 110);
+    }
+    if (!("sugg" in m_last.da)) {
+      fault(func_name, 120);
+    }
+    if ((i < 0) || (i >= m_last.da.sugg.length)) {
+      fault(func_name, 130);
+    }
+    
+    // Put the suggestion in the input box
+    q = m_last.da.sugg[i];
+    e = document.getElementById("txtInput");
+    if (e == null) {
+      fault(func_name, 140);
+    }
+    e.value = q;
+    
+    // Query again
+    if (m_last.f === listCharResults) {
+      queryChar();
+    } else {
+      m_wquery = q;
+      pageWord(0);
+    }
+  }
+
+  /*
+   * Public function for handling the Convert button of the romanization
+   * converter.
+   *
+   * The text in the converter box is converted from the romanization
+   * selected in the "from" list to the one selected in the "to" list,
+   * and written to the converter output.  Syllables that are not valid
+   * in the source romanization are copied unchanged and highlighted.
+   */
+  function convertText() {
+    
+    var func_name = "convertText";
+    var eIn, eFrom, eTo, eOut, pa, str, i;
+    
+    // Get the elements
+    eIn = document.getElementById("txtConvIn");
+    eFrom = document.getElementById("selConvFrom");
+    eTo = document.getElementById("selConvTo");
+    eOut = document.getElementById("divConvOut");
+    if ((eIn == null) || (eFrom == null) || (eTo == null) ||
+        (eOut == null)) {
+      fault(func_name, 100);
+    }
+    
+    // Convert the text
+    pa = ctt_main.convertRoman(eIn.value, eFrom.value, eTo.value);
+    
+    // Build the output, highlighting invalid syllables
+    str = "";
+    for(i = 0; i < pa.length; i++) {
+      if (pa[i].c === null) {
+        str = str + "<span class=\"badsyl\">" + htmlEsc(pa[i].t) +
+                "</span>";
+      } else {
+        str = str + htmlEsc(pa[i].c);
+      }
+    }
+    
+    // Update output
+    eOut.innerHTML = str;
+  }
+
   /*
    * Event handler for when the document is fully loaded.
    *
@@ -944,7 +3058,7 @@
       function() {
         // Callback invoked when database initialization is successful
         var e, eTypeBox, eErrLine, eCSS;
-        var f, csst, i;
+        var f, csst, i, rs;
     
         // Define function that we will call once all database loading
         // and index building is done
@@ -1000,6 +3114,14 @@
               m_caret = eTypeBox.selectionStart;
             };
             
+            // Add an event handler to the typing box that sends keys to
+            // the input method when it is turned on
+            eTypeBox.onkeydown = function(ev) {
+              if (m_ime) {
+                imeKey(ev);
+              }
+            };
+            
             // Add an event handler to the codepoint box that
             // immediately hides the error DIV for codepoints if there
             // is any input
@@ -1017,6 +3139,32 @@
               eErrLine.style.display = "none";
             };
             
+            // Add an event handler to the query box that searches as
+            // the user types
+            e = document.getElementById("txtInput");
+            if (e == null) {
+              fault(func_name, 815);
+            }
+            e.oninput = function(ev) {
+              liveSearch();
+            };
+            
+            // Restore the saved romanization setting, if there is one
+            e = document.getElementById("selRoman");
+            if (e == null) {
+              fault(func_name, 820);
+            }
+            try {
+              rs = localStorage.getItem("cantotype_roman");
+            } catch (ex) {
+              rs = null;
+            }
+            if ((rs === "jyu") || (rs === "yale") || (rs === "both") ||
+                (rs === "ipa")) {
+              m_roman = rs;
+            }
+            e.value = m_roman;
+            
             // Hide the splash-screen DIV and show the main DIV
             e = document.getElementById("divSplash");
             if (e == null) {
@@ -1065,6 +3213,13 @@
                 canto_words = ctt_load.jsonData(
                   canto_config.worddb_name);
                 
+                // Load the optional character frequency table if one is
+                // configured
+                if ("freqdb_name" in canto_config) {
+                  canto_freq = ctt_load.jsonData(
+                    canto_config.freqdb_name);
+                }
+                
                 // Update status
                 if (eSplash != null) {
                   eSplash.innerHTML = "Building database indices...";
@@ -1121,11 +3276,28 @@
     "appear": appear,
     "dismiss": dismiss,
     "typeChar": typeChar,
+    "setIME": setIME,
+    "imePick": imePick,
+    "predictPick": predictPick,
+    "annotateText": annotateText,
+    "annotPick": annotPick,
+    "copyAnnot": copyAnnot,
+    "exportAnnot": exportAnnot,
     "handleCodebox": handleCodebox,
     "listCharResults": listCharResults,
     "listWordResults": listWordResults,
+    "setRoman": setRoman,
     "queryChar": queryChar,
     "queryWord": queryWord,
+    "queryReading": queryReading,
+    "queryPinyin": queryPinyin,
+    "wordsWith": wordsWith,
+    "queryHomophones": queryHomophones,
+    "homophonesOf": homophonesOf,
+    "liveSearch": liveSearch,
+    "pageWord": pageWord,
+    "pickSuggestion": pickSuggestion,
+    "convertText": convertText,
     "handleLoad": handleLoad
   };
 